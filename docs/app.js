@@ -2,98 +2,31 @@
 let currentGuide = null;
 let currentStack = null;
 
-// Enhanced markdown parser for rendering guide content
-function parseMarkdown(markdown) {
-  if (!markdown) return "";
-
-  let html = markdown;
-
-  // Code blocks (must be processed before inline code)
-  html = html.replace(/```(\w+)?\n([\s\S]*?)```/g, (match, lang, code) => {
-    const escaped = code
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;");
-    return `<pre><code>${escaped}</code></pre>`;
-  });
-
-  // Headers (process from h6 to h1 to avoid conflicts)
-  html = html.replace(/^###### (.*$)/gim, "<h6>$1</h6>");
-  html = html.replace(/^##### (.*$)/gim, "<h5>$1</h5>");
-  html = html.replace(/^#### (.*$)/gim, "<h4>$1</h4>");
-  html = html.replace(/^### (.*$)/gim, "<h3>$1</h3>");
-  html = html.replace(/^## (.*$)/gim, "<h2>$1</h2>");
-  html = html.replace(/^# (.*$)/gim, "<h1>$1</h1>");
-
-  // Horizontal rules
-  html = html.replace(/^---$/gim, "<hr>");
-  html = html.replace(/^\*\*\*$/gim, "<hr>");
-
-  // Blockquotes
-  html = html.replace(/^> (.*$)/gim, "<blockquote>$1</blockquote>");
-
-  // Lists - ordered
-  html = html.replace(/^(\d+)\.\s+(.*$)/gim, "<li>$2</li>");
-
-  // Lists - unordered
-  html = html.replace(/^[-*+]\s+(.*$)/gim, "<li>$1</li>");
-
-  // Wrap consecutive list items
-  html = html.replace(/(<li>.*<\/li>\n?)+/g, (match) => {
-    // Check if it's an ordered list (contains numbers)
-    const isOrdered = /^\d+\./.test(match);
-    const tag = isOrdered ? "ol" : "ul";
-    return `<${tag}>${match}</${tag}>`;
-  });
-
-  // Bold (must be before italic to avoid conflicts)
-  html = html.replace(/\*\*\*(.*?)\*\*\*/g, "<strong><em>$1</em></strong>");
-  html = html.replace(/\*\*(.*?)\*\*/g, "<strong>$1</strong>");
-  html = html.replace(/__(.*?)__/g, "<strong>$1</strong>");
-
-  // Italic
-  html = html.replace(/\*(.*?)\*/g, "<em>$1</em>");
-  html = html.replace(/_(.*?)_/g, "<em>$1</em>");
-
-  // Inline code (after bold/italic to avoid conflicts)
-  html = html.replace(/`([^`]+)`/g, "<code>$1</code>");
-
-  // Links
-  html = html.replace(
-    /\[([^\]]+)\]\(([^)]+)\)/g,
-    '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>'
-  );
-
-  // Images
-  html = html.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '<img src="$2" alt="$1">');
-
-  // Split into blocks (double newlines)
-  const blocks = html.split(/\n\n+/);
-  html = blocks
-    .map((block) => {
-      block = block.trim();
-      if (!block) return "";
-
-      // Don't wrap block elements
-      if (/^<(h[1-6]|pre|ul|ol|blockquote|hr|div)/i.test(block)) {
-        return block;
-      }
-
-      // Convert single newlines to <br> within paragraphs
-      block = block.replace(/\n/g, "<br>");
-
-      return `<p>${block}</p>`;
-    })
-    .join("\n");
-
-  // Clean up empty paragraphs and fix nested paragraphs
-  html = html.replace(/<p><\/p>/g, "");
-  html = html.replace(/<p>(<[^>]+>)<\/p>/g, "$1");
-
-  return html;
+// Export format picked for downloads, shared by the cards and the overview
+let exportTargetId = "cursor";
+
+// Values picked for rule variables, by name, as text; only those that differ
+// from the default. Kept in the page's query (?packageManager=pnpm) so a link
+// carries them, and applied to every rule the site exports.
+let variableValues = {};
+
+// Page title without the open stack or guide
+const baseTitle = document.title;
+
+// Modules shared with the Node scripts (docs/lib), loaded once on init
+let lib = {};
+
+// Escape text that is interpolated into innerHTML templates
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
 }
 
-// Load and render stacks
+// Load the guides manifest (data/guides.json) and render the stacks
 async function loadStacks() {
   const stacksGrid = document.getElementById("stacksGrid");
   stacksGrid.innerHTML = '<div class="loading">Loading stacks</div>';
@@ -104,8 +37,8 @@ async function loadStacks() {
       throw new Error("Failed to load guides data");
     }
 
-    const data = await response.json();
-    renderStacks(data.stacks);
+    window.guidesData = await response.json();
+    renderStacks(window.guidesData.stacks);
   } catch (error) {
     console.error("Error loading stacks:", error);
     stacksGrid.innerHTML = `
@@ -117,6 +50,64 @@ async function loadStacks() {
   }
 }
 
+// Guide and README bodies are not in the manifest: each lives in its own
+// file, named by a hash of its content, and is fetched when first needed.
+// One cache serves every view, so nothing is fetched twice.
+const contentCache = new Map();
+
+function loadContent(file) {
+  if (!contentCache.has(file)) {
+    const promise = fetch(`data/${file}`).then((response) => {
+      if (!response.ok) throw new Error(`Failed to load ${file}`);
+      return response.json();
+    });
+
+    // Allow a retry after a failed load
+    promise.catch(() => contentCache.delete(file));
+    contentCache.set(file, promise);
+  }
+  return contentCache.get(file);
+}
+
+// A manifest guide with its body: content, frontmatterRaw and html
+async function loadGuide(guide) {
+  return { ...guide, ...(await loadContent(guide.contentFile)) };
+}
+
+const loadGuides = (guides) => Promise.all(guides.map(loadGuide));
+
+// Guides as they are exported: with the picked variable values filled in
+const loadCustomizedGuides = async (guides) =>
+  (await loadGuides(guides)).map((guide) =>
+    lib.renderGuide(guide, variableValues)
+  );
+
+// The stack's always-apply cost, flagged when it is over its budget
+function contextCostStat(stack) {
+  const { always, worstCase } = stack.metrics;
+  const overBudget =
+    stack.budget && always.tokens > stack.budget.alwaysApplyTokens;
+  const title =
+    `Always-apply rules add ${lib.formatTokens(
+      always.tokens
+    )} tokens to every chat` +
+    (worstCase.guides > always.guides
+      ? `, up to ${lib.formatTokens(
+          worstCase.tokens
+        )} when every glob rule attaches`
+      : "") +
+    (overBudget
+      ? ` (over the budget of ${lib.formatCount(
+          stack.budget.alwaysApplyTokens
+        )})`
+      : "");
+  return `<div class="stack-stat${
+    overBudget ? " over-budget" : ""
+  }" title="${escapeHtml(title)}">
+                        <span>${lib.formatTokens(always.tokens)} tokens</span>
+                    </div>`;
+}
+
 function renderStacks(stacks) {
   const stacksGrid = document.getElementById("stacksGrid");
 
@@ -127,28 +118,19 @@ function renderStacks(stacks) {
 
       const guidesList = stack.guides
         .slice(0, 6)
-        .map((guide) => {
-          const alwaysApplyBadge = guide.alwaysApply
-            ? '<span style="color: var(--color-success); font-size: 0.7rem;">✓</span> '
-            : "";
-          return `<a href="#" class="guide-item ${
-            guide.alwaysApply ? "always-apply" : ""
-          }" 
-                       data-stack="${stack.id}" 
-                       data-guide="${guide.id}">
-                       ${alwaysApplyBadge}${guide.title}
-                   </a>`;
-        })
+        .map((guide) =>
+          lib.guideItemHtml(stack.id, guide, lib.pagePath(stack.id, guide.id))
+        )
         .join("");
 
       const moreGuides =
         guidesCount > 6
           ? `<div style="text-align: center; margin-top: 0.5rem;">
-                 <button class="guide-item" style="width: 100%;" onclick="showAllGuides('${
+                 <a href="${lib.pagePath(
                    stack.id
-                 }')">
+                 )}" class="guide-item" data-stack="${stack.id}">
                    +${guidesCount - 6} more guides
-                 </button>
+                 </a>
                </div>`
           : "";
 
@@ -156,12 +138,18 @@ function renderStacks(stacks) {
             <div class="stack-card" data-stack="${stack.id}">
                 <div class="stack-header">
                     <div class="stack-icon">
-                        <img src="${stack.icon}" alt="${stack.name}" />
+                        <img src="${escapeHtml(stack.icon)}" alt="${escapeHtml(
+        stack.name
+      )}" />
                     </div>
-                    <h3 class="stack-title">${stack.name}</h3>
+                    <h3 class="stack-title"><a href="${lib.pagePath(
+                      stack.id
+                    )}" data-stack="${stack.id}">${escapeHtml(
+        stack.name
+      )}</a></h3>
                 </div>
-                <p class="stack-summary">${stack.summary}</p>
-                <p class="stack-focus">Focus: ${stack.focus}</p>
+                <p class="stack-summary">${escapeHtml(stack.summary)}</p>
+                <p class="stack-focus">Focus: ${escapeHtml(stack.focus)}</p>
                 <div class="stack-stats">
                     <div class="stack-stat">
                         <span>${guidesCount} guides</span>
@@ -169,6 +157,7 @@ function renderStacks(stacks) {
                     <div class="stack-stat">
                         <span>${alwaysApplyCount} auto-apply</span>
                     </div>
+                    ${contextCostStat(stack)}
                 </div>
                 <div class="guides-list">
                     <h4>Key Guidelines</h4>
@@ -178,7 +167,12 @@ function renderStacks(stacks) {
                     ${moreGuides}
                 </div>
                 <div class="stack-actions">
-                    <button class="stack-download-btn" onclick="event.stopPropagation(); downloadStackZip('${stack.id}')" title="Download all rules as ZIP">
+                    <select class="export-target" aria-label="Download format for ${escapeHtml(
+                      stack.name
+                    )}">
+                        ${exportTargetOptions()}
+                    </select>
+                    <button class="stack-download-btn" title="Download all rules as ZIP">
                         <span>Download All Rules</span>
                     </button>
                 </div>
@@ -190,27 +184,75 @@ function renderStacks(stacks) {
   // Add click handlers
   document.querySelectorAll(".stack-card").forEach((card) => {
     card.addEventListener("click", (e) => {
-      if (e.target.closest(".guide-item")) return;
-      if (e.target.closest(".stack-download-btn")) return;
-      const stackId = card.dataset.stack;
-      showStackOverview(stackId);
+      // Links open their own view (setupGuideLinks)
+      if (e.target.closest("a")) return;
+      if (e.target.closest(".stack-actions")) return;
+      navigateTo({ stackId: card.dataset.stack });
     });
+
+    setupExportControls(card, card.dataset.stack);
   });
+}
 
-  document.querySelectorAll(".guide-item").forEach((item) => {
-    item.addEventListener("click", (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      const stackId = item.dataset.stack;
-      const guideId = item.dataset.guide;
-      if (stackId && guideId) {
-        showGuide(stackId, guideId);
-      }
-    });
+function exportTargetOptions() {
+  return lib.EXPORT_TARGETS.map(
+    (target) =>
+      `<option value="${target.id}"${
+        target.id === exportTargetId ? " selected" : ""
+      }>${escapeHtml(target.name)}</option>`
+  ).join("");
+}
+
+// Wire the format select and download button inside `container`, plus the
+// notes list when there is one
+function setupExportControls(container, stackId) {
+  const select = container.querySelector(".export-target");
+  const notesList = container.querySelector(".export-notes");
+
+  const renderNotes = async () => {
+    if (!notesList) return;
+    const stack = window.guidesData.stacks.find((s) => s.id === stackId);
+    const target = lib.EXPORT_TARGETS.find((t) => t.id === select.value);
+
+    let notes;
+    try {
+      ({ notes } = lib.exportRules(
+        target.id,
+        stack,
+        await loadCustomizedGuides(stack.guides)
+      ));
+    } catch (error) {
+      console.error("Error loading rules:", error);
+      return;
+    }
+    // Another format was picked while the rules loaded
+    if (select.value !== target.id) return;
+
+    notesList.innerHTML =
+      `<li class="export-target-description">${escapeHtml(
+        target.description
+      )}</li>` +
+      (notes.length > 0
+        ? notes.map((note) => `<li>${escapeHtml(note.message)}</li>`).join("")
+        : `<li>Every rule maps exactly onto ${escapeHtml(target.name)}.</li>`);
+  };
+
+  select.addEventListener("change", () => {
+    exportTargetId = select.value;
+    renderNotes();
   });
+
+  container
+    .querySelector(".stack-download-btn")
+    .addEventListener("click", () => downloadStackZip(stackId, select.value));
+
+  renderNotes();
 }
 
-function showStackOverview(stackId) {
+// Latest view wins when content for an earlier one arrives late
+let viewGeneration = 0;
+
+async function showStackOverview(stackId) {
   const data = window.guidesData;
   if (!data) return;
 
@@ -218,6 +260,7 @@ function showStackOverview(stackId) {
   if (!stack) return;
 
   // Clear current guide for stack overview
+  const generation = ++viewGeneration;
   currentGuide = null;
   currentStack = stack;
 
@@ -226,21 +269,22 @@ function showStackOverview(stackId) {
   const modalContent = document.getElementById("modalContent");
   const modalFooter = document.getElementById("modalFooter");
 
-  modalTitle.innerHTML = `<img src="${stack.icon}" alt="${stack.name}" class="modal-icon" /> ${stack.name}`;
+  modalTitle.innerHTML = `<img src="${escapeHtml(
+    stack.icon
+  )}" alt="${escapeHtml(stack.name)}" class="modal-icon" /> ${escapeHtml(
+    stack.name
+  )}`;
   modalFooter.classList.remove("visible");
 
   // Hide copy/save buttons for stack overview
   document.getElementById("copyBtn").style.display = "none";
   document.getElementById("saveBtn").style.display = "none";
 
-  let content = `<div style="margin-bottom: 1.5rem;">`;
-  content += `<p style="font-size: 0.95rem; color: var(--color-text-light); margin-bottom: 1rem; font-weight: 300; line-height: 1.6;">${stack.summary}</p>`;
-  content += `<p style="font-size: 0.75rem; color: var(--color-primary); font-family: var(--font-mono); letter-spacing: 0.05em; text-transform: uppercase; padding: 0.25rem 0.5rem; border: 1px solid var(--color-primary); display: inline-block; border-radius: 0.25rem; background: rgba(0, 255, 209, 0.05);"><strong>Focus:</strong> ${stack.focus}</p>`;
-  content += `</div>`;
+  let content = lib.stackIntroHtml(stack);
 
-  if (stack.readme) {
-    content += `<div style="margin-top: 2rem;">`;
-    content += parseMarkdown(stack.readme);
+  if (stack.readmeFile) {
+    content += `<div class="stack-readme" style="margin-top: 2rem;">`;
+    content += `<div class="loading">Loading</div>`;
     content += `</div>`;
   }
 
@@ -249,109 +293,1306 @@ function showStackOverview(stackId) {
   content += `<div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 0.25rem; margin-top: 1rem;">`;
 
   stack.guides.forEach((guide) => {
-    const alwaysApplyBadge = guide.alwaysApply
-      ? '<span style="color: var(--color-success); font-size: 0.7rem;">✓</span> '
-      : "";
-    content += `<a href="#" class="guide-item ${
-      guide.alwaysApply ? "always-apply" : ""
-    }" 
-                       onclick="showGuide('${stackId}', '${
-      guide.id
-    }'); return false;">
-                       ${alwaysApplyBadge}${guide.title}
-                   </a>`;
+    content += lib.guideItemHtml(
+      stackId,
+      guide,
+      lib.pagePath(stackId, guide.id)
+    );
   });
 
   content += `</div></div>`;
 
-  modalContent.innerHTML = content;
-  modal.classList.add("active");
-}
+  content += `<div class="export-panel">`;
+  content += `<h3>Download for Your Assistant</h3>`;
+  const variables = declaredVariables(stack.guides);
+  const parameterized = stack.guides.filter(
+    (guide) => guide.variables.length > 0
+  );
+  if (variables.length > 0) {
+    content += `<div class="variables-panel">`;
+    content += variablesFormHtml(variables);
+    content += `<details class="variables-preview"><summary>Preview a customized rule</summary>`;
+    content += `<select class="search-filter variables-preview-guide" aria-label="Rule to preview">${parameterized
+      .map(
+        (guide) =>
+          `<option value="${guide.id}">${escapeHtml(guide.title)}</option>`
+      )
+      .join("")}</select>`;
+    content += `<pre><code></code></pre></details>`;
+    content += `</div>`;
+  }
+  content += `<div class="export-controls">`;
+  content += `<select class="export-target" aria-label="Download format">${exportTargetOptions()}</select>`;
+  content += `<button class="stack-download-btn"><span>Download ZIP</span></button>`;
+  content += `</div>`;
+  content += `<ul class="export-notes"></ul>`;
+  content += `</div>`;
 
-function showAllGuides(stackId) {
-  showStackOverview(stackId);
+  modalContent.innerHTML = content;
+  setupExportControls(modalContent.querySelector(".export-panel"), stack.id);
+  const variablesPanel = modalContent.querySelector(".variables-panel");
+  if (variablesPanel) {
+    const guideSelect = variablesPanel.querySelector(
+      ".variables-preview-guide"
+    );
+    const renderPreview = async () => {
+      const guideId = guideSelect.value;
+      let guide;
+      try {
+        guide = await loadGuide(parameterized.find((g) => g.id === guideId));
+      } catch (error) {
+        console.error("Error loading guide:", error);
+        return;
+      }
+      // Another rule was picked, or the view changed, while it loaded
+      if (guideSelect.value !== guideId || generation !== viewGeneration) {
+        return;
+      }
+      variablesPanel.querySelector(".variables-preview code").textContent =
+        lib.buildMdcContent(lib.renderGuide(guide, variableValues));
+    };
+    guideSelect.addEventListener("change", renderPreview);
+    variablesPanel
+      .querySelector(".variables-preview")
+      .addEventListener("toggle", renderPreview);
+    setupVariablesForm(variablesPanel, variables, renderPreview);
+  }
+  openModal();
+  modal.querySelector(".modal-body").scrollTop = 0;
+  document.title = `${stack.name} - ${baseTitle}`;
+
+  if (stack.readmeFile) {
+    const readme = modalContent.querySelector(".stack-readme");
+    try {
+      const { readmeHtml } = await loadContent(stack.readmeFile);
+      if (generation === viewGeneration) readme.innerHTML = readmeHtml;
+    } catch (error) {
+      console.error("Error loading README:", error);
+      if (generation === viewGeneration) readme.remove();
+    }
+  }
 }
 
-function showGuide(stackId, guideId) {
+// Open a guide, optionally scrolled to one of its heading sections.
+// Resolves to whether the section was found.
+async function showGuide(stackId, guideId, sectionId = "") {
   const data = window.guidesData;
-  if (!data) return;
+  if (!data) return false;
 
   const stack = data.stacks.find((s) => s.id === stackId);
-  if (!stack) return;
+  if (!stack) return false;
 
-  const guide = stack.guides.find((g) => g.id === guideId);
-  if (!guide) return;
+  const manifestGuide = stack.guides.find((g) => g.id === guideId);
+  if (!manifestGuide) return false;
 
-  // Store for copy/save functionality
-  currentGuide = guide;
+  const generation = ++viewGeneration;
+  currentGuide = null;
   currentStack = stack;
 
-  const modal = document.getElementById("guideModal");
   const modalTitle = document.getElementById("modalTitle");
   const modalContent = document.getElementById("modalContent");
   const modalFooter = document.getElementById("modalFooter");
 
-  modalTitle.innerHTML = `<img src="${stack.icon}" alt="${stack.name}" class="modal-icon" /> ${guide.title}`;
+  modalTitle.innerHTML = `<img src="${escapeHtml(
+    stack.icon
+  )}" alt="${escapeHtml(stack.name)}" class="modal-icon" /> ${escapeHtml(
+    manifestGuide.title
+  )}`;
+  document.title = `${manifestGuide.title} - ${stack.name} - ${baseTitle}`;
+
+  document.getElementById("copyBtn").style.display = "none";
+  document.getElementById("saveBtn").style.display = "none";
+  modalFooter.classList.remove("visible");
+  modalContent.innerHTML = '<div class="loading">Loading guide</div>';
+  openModal();
+
+  let guide;
+  try {
+    guide = await loadGuide(manifestGuide);
+  } catch (error) {
+    console.error("Error loading guide:", error);
+    if (generation === viewGeneration) {
+      modalContent.innerHTML = `<p style="color: var(--color-danger); font-family: var(--font-mono);">Failed to load this guide. Check your connection and try again.</p>`;
+    }
+    return false;
+  }
+  if (generation !== viewGeneration) return false;
+
+  // Store for copy/save functionality
+  currentGuide = guide;
 
   // Show copy/save buttons for guide view
   document.getElementById("copyBtn").style.display = "flex";
   document.getElementById("saveBtn").style.display = "flex";
 
-  let content = "";
+  let content = lib.guideIntroHtml(guide);
+  if (guide.variables.length > 0) {
+    content += `<div class="variables-panel">`;
+    content += `<h3>Customize</h3>`;
+    content += variablesFormHtml(guide.variables);
+    content += `<details class="variables-preview"><summary>Customized rule</summary><pre><code></code></pre></details>`;
+    content += `</div>`;
+  }
+  content += `<div class="guide-layout">${guideLayoutHtml(guide)}</div>`;
+  content += guideHistoryHtml(guide);
+  content += guideCompareHtml(stack, guide);
 
-  if (guide.frontmatter.description) {
-    content += `<p style="font-size: 0.95rem; color: var(--color-text-light); margin-bottom: 1.5rem; font-style: italic; font-weight: 300; line-height: 1.6;">${guide.frontmatter.description}</p>`;
+  modalContent.innerHTML = content;
+  const layout = modalContent.querySelector(".guide-layout");
+  setupGuideBody(layout, stack, guide);
+  setupGuideHistory(modalContent.querySelector(".guide-history"), guide);
+  setupGuideCompare(modalContent.querySelector(".guide-compare"), stack, guide);
+
+  // The guide, copy and save show the rule with the picked values
+  const variablesPanel = modalContent.querySelector(".variables-panel");
+  if (variablesPanel) {
+    const renderPreview = () => {
+      currentGuide = lib.renderGuide(guide, variableValues);
+      variablesPanel.querySelector(".variables-preview code").textContent =
+        lib.buildMdcContent(currentGuide);
+    };
+    setupVariablesForm(variablesPanel, guide.variables, () => {
+      renderPreview();
+      layout.innerHTML = guideLayoutHtml(guide);
+      setupGuideBody(layout, stack, guide);
+    });
+    renderPreview();
   }
+  modalFooter.classList.add("visible");
 
-  if (guide.alwaysApply) {
-    content += `<div style="background: rgba(0, 255, 136, 0.05); padding: 0.75rem; border-radius: var(--radius-sm); margin-bottom: 1.5rem; border-left: 2px solid var(--color-success); border: 1px solid rgba(0, 255, 136, 0.2);">`;
-    content += `<strong style="color: var(--color-success); font-family: var(--font-mono); font-size: 0.8rem; letter-spacing: 0.05em; text-transform: uppercase;">✓ Auto-Applied:</strong> <span style="font-size: 0.875rem; color: var(--color-text-light);">This rule is automatically applied to all AI interactions.</span>`;
-    content += `</div>`;
+  return scrollToSection(sectionId);
+}
+
+// Headings a guide's table of contents lists; h1 is the guide's title
+const TOC_HEADINGS = ["H2", "H3"];
+// How far below the top of the modal a heading counts as the current section
+const SCROLL_SPY_OFFSET = 80;
+
+// The open guide's table of contents, for the scroll-spy: each entry's link
+// and the heading it points at
+let guideToc = null;
+
+// A guide's rendered body with the picked variable values, from the
+// rendering of the combination of conditions they take (lib/variables.js)
+function guideBodyHtml(guide) {
+  if (!guide.variants) return guide.html;
+  const { values } = lib.resolveValues(guide.variables, variableValues);
+  const key = lib.variantKey(guide.template.content, guide.variables, values);
+  return lib.fillPlaceholders(
+    guide.variants.html[guide.variants.keys[key]],
+    guide.variables,
+    values
+  );
+}
+
+// The guide's table of contents, filled in by setupGuideBody(), and body
+function guideLayoutHtml(guide) {
+  return `<nav class="guide-toc" aria-label="Table of contents"></nav><div class="guide-body">${guideBodyHtml(
+    guide
+  )}</div>`;
+}
+
+// Table of contents, heading links and copy buttons for a guide's body. A
+// section is copied as the markdown of the rule as exported (with the picked
+// variable values), from its heading to the next one of the same level; a
+// code block as it is shown.
+function setupGuideBody(layout, stack, guide) {
+  const body = layout.querySelector(".guide-body");
+  const nav = layout.querySelector(".guide-toc");
+  const headings = [...body.querySelectorAll("h1, h2, h3, h4, h5, h6")];
+  const sectionHash = (heading) =>
+    routeHash({ stackId: stack.id, guideId: guide.id, sectionId: heading.id });
+
+  const tocHeadings = headings.filter((heading) =>
+    TOC_HEADINGS.includes(heading.tagName)
+  );
+  if (tocHeadings.length >= 2) {
+    nav.innerHTML = `<p class="guide-toc-title">Contents</p><ol>${tocHeadings
+      .map(
+        (heading) =>
+          `<li class="guide-toc-${heading.tagName.toLowerCase()}"><a href="${escapeHtml(
+            sectionHash(heading)
+          )}">${escapeHtml(heading.textContent)}</a></li>`
+      )
+      .join("")}</ol>`;
+    const links = nav.querySelectorAll("a");
+    guideToc = {
+      nav,
+      entries: tocHeadings.map((heading, index) => ({
+        heading,
+        link: links[index],
+      })),
+    };
+  } else {
+    nav.remove();
+    guideToc = null;
   }
 
-  if (guide.globs && guide.globs.length > 0) {
-    content += `<div style="background: var(--color-bg-alt); padding: 0.75rem; border-radius: var(--radius-sm); margin-bottom: 1.5rem; border: 1px solid var(--color-border);">`;
-    content += `<strong style="font-family: var(--font-mono); font-size: 0.8rem; letter-spacing: 0.05em; text-transform: uppercase; color: var(--color-text);">Applies to:</strong> <code style="background: rgba(0, 255, 209, 0.1); border: 1px solid rgba(0, 255, 209, 0.2); padding: 0.2em 0.4em; border-radius: 0.25rem; color: var(--color-primary-light); font-size: 0.8rem;">${guide.globs.join(
-      ", "
-    )}</code>`;
-    content += `</div>`;
+  headings.forEach((heading, index) => {
+    if (heading.tagName === "H1") return;
+    const title = escapeHtml(heading.textContent);
+    heading.insertAdjacentHTML(
+      "beforeend",
+      `<span class="heading-actions"><a href="${escapeHtml(
+        sectionHash(heading)
+      )}" class="heading-anchor" aria-label="Link to ${title}">#</a><button class="copy-section-btn" data-heading="${index}" aria-label="Copy section ${title}"><span>Copy</span></button></span>`
+    );
+  });
+
+  // The build wraps every code block (scripts/lib/markdown.mjs)
+  body.querySelectorAll(".code-block").forEach((block) => {
+    block.insertAdjacentHTML(
+      "beforeend",
+      '<button class="copy-code-btn" aria-label="Copy code"><span>Copy</span></button>'
+    );
+  });
+
+  body.addEventListener("click", (event) => {
+    const sectionButton = event.target.closest(".copy-section-btn");
+    const codeButton = event.target.closest(".copy-code-btn");
+    if (sectionButton) {
+      copyText(
+        sectionMarkdown(guide, Number(sectionButton.dataset.heading)),
+        sectionButton
+      );
+    } else if (codeButton) {
+      copyText(
+        codeButton.closest(".code-block").querySelector("pre").textContent,
+        codeButton
+      );
+    }
+  });
+
+  updateScrollSpy();
+}
+
+// The markdown of the guide's `index`th heading and what follows it, from
+// the rule as shown and exported
+function sectionMarkdown(guide, index) {
+  const content = currentGuide?.content ?? guide.content;
+  const { start, end } = lib.markdownSections(content)[index];
+  return `${content.split("\n").slice(start, end).join("\n").trimEnd()}\n`;
+}
+
+// Mark the table of contents entry of the section at the top of the modal,
+// or of the last one once the guide is scrolled to its end
+function updateScrollSpy() {
+  if (!guideToc?.nav.isConnected) return;
+
+  const modalBody = document.querySelector("#guideModal .modal-body");
+  const top = modalBody.getBoundingClientRect().top + SCROLL_SPY_OFFSET;
+  const { entries, nav } = guideToc;
+  const atEnd =
+    modalBody.scrollTop + modalBody.clientHeight >= modalBody.scrollHeight - 1;
+  const current = atEnd
+    ? entries[entries.length - 1]
+    : entries
+        .filter((entry) => entry.heading.getBoundingClientRect().top <= top)
+        .pop() || entries[0];
+
+  entries.forEach(({ link }) => {
+    if (link === current.link) {
+      link.setAttribute("aria-current", "location");
+    } else {
+      link.removeAttribute("aria-current");
+    }
+  });
+
+  // Keep the marked entry in view when the contents scroll on their own
+  const { offsetTop, offsetHeight } = current.link;
+  if (
+    offsetTop < nav.scrollTop ||
+    offsetTop + offsetHeight > nav.scrollTop + nav.clientHeight
+  ) {
+    nav.scrollTop = offsetTop - nav.clientHeight / 2;
   }
+}
 
-  content += parseMarkdown(guide.content);
+// The guide's versions, from git history, below its content. The versions
+// themselves are fetched when the history is first opened.
+function guideHistoryHtml(guide) {
+  const count = guide.versionCount;
+  return `<details class="guide-history">
+      <summary>History (${count} ${
+    count === 1 ? "version" : "versions"
+  })</summary>
+      <div class="guide-history-body">${
+        guide.historyFile
+          ? '<div class="loading">Loading history</div>'
+          : "<p>No earlier versions of this rule.</p>"
+      }</div>
+    </details>`;
+}
 
-  modalContent.innerHTML = content;
-  modalFooter.classList.add("visible");
+function setupGuideHistory(details, guide) {
+  if (!guide.historyFile) return;
+
+  details.addEventListener("toggle", async () => {
+    if (!details.open || details.dataset.loaded) return;
+    details.dataset.loaded = "true";
+    const body = details.querySelector(".guide-history-body");
+
+    let versions;
+    try {
+      ({ versions } = await loadContent(guide.historyFile));
+    } catch (error) {
+      console.error("Error loading history:", error);
+      body.innerHTML = `<p style="color: var(--color-danger);">Failed to load the history. Close and reopen it to retry.</p>`;
+      delete details.dataset.loaded;
+      return;
+    }
+
+    const versionLabel = (version) =>
+      version.commit
+        ? `${lib.formatDate(version.date)} ${version.commit.slice(0, 7)}`
+        : "Working copy";
+    const options = (selected) =>
+      versions
+        .map(
+          (version, index) =>
+            `<option value="${index}"${
+              index === selected ? " selected" : ""
+            }>${escapeHtml(versionLabel(version))} · ${version.hash}</option>`
+        )
+        .join("");
+
+    body.innerHTML = `
+        <ol class="guide-versions">${versions
+          .map(
+            (version) =>
+              `<li><code>${version.hash}</code> ${escapeHtml(
+                versionLabel(version)
+              )} <span class="guide-version-subject">${escapeHtml(
+                version.subject
+              )}</span></li>`
+          )
+          .join("")}</ol>
+        <div class="guide-history-compare">
+          <label>Compare <select class="search-filter" data-version="before">${options(
+            1
+          )}</select></label>
+          <label>with <select class="search-filter" data-version="after">${options(
+            0
+          )}</select></label>
+        </div>
+        <div class="guide-history-diff"></div>`;
+
+    const before = body.querySelector('[data-version="before"]');
+    const after = body.querySelector('[data-version="after"]');
+    const renderDiff = () => {
+      const changes = lib.diffLines(
+        versions[before.value].content,
+        versions[after.value].content
+      );
+      body.querySelector(".guide-history-diff").innerHTML = lib.diffHtml(
+        lib.diffHunks(changes)
+      );
+    };
+    before.addEventListener("change", renderDiff);
+    after.addEventListener("change", renderDiff);
+    renderDiff();
+  });
+}
+
+// "Compare across stacks": the open guide next to the same rule, or rules on
+// a topic it shares, in other stacks, section by section (lib/compare.js).
+// The open guide is the base the others are diffed against.
+function guideCompareHtml(stack, guide) {
+  const candidates = lib.comparableGuides(
+    window.guidesData.stacks,
+    stack.id,
+    guide
+  );
+  if (candidates.length === 0) return "";
+
+  const tags = guide.tags || [];
+  return `<details class="guide-compare">
+      <summary>Compare Across Stacks (${candidates.length} ${
+    candidates.length === 1 ? "rule" : "rules"
+  })</summary>
+      <div class="guide-compare-body">
+          <fieldset class="guide-compare-picks">
+              <legend>Compare with</legend>
+              ${candidates
+                .map(
+                  (candidate, index) => `
+              <label class="bundle-guide">
+                  <input type="checkbox" value="${index}"${
+                    index === 0 ? " checked" : ""
+                  }>
+                  ${escapeHtml(candidate.stack.name)} › ${escapeHtml(
+                    candidate.guide.title
+                  )}${
+                    candidate.match === "topic"
+                      ? ` <span class="guide-compare-match">${escapeHtml(
+                          candidate.guide.tags
+                            .filter((tag) => tags.includes(tag))
+                            .join(", ")
+                        )}</span>`
+                      : ""
+                  }
+              </label>`
+                )
+                .join("")}
+          </fieldset>
+          <div class="guide-compare-result" aria-live="polite"></div>
+      </div>
+    </details>`;
+}
+
+function setupGuideCompare(details, stack, guide) {
+  if (!details) return;
+
+  const candidates = lib.comparableGuides(
+    window.guidesData.stacks,
+    stack.id,
+    guide
+  );
+  const result = details.querySelector(".guide-compare-result");
+  // Latest pick wins when rule bodies load out of order
+  let generation = 0;
+
+  const renderComparison = async () => {
+    const picked = [
+      ...details.querySelectorAll(".guide-compare-picks input:checked"),
+    ].map((checkbox) => candidates[checkbox.value]);
+    const current = ++generation;
+
+    if (picked.length === 0) {
+      result.innerHTML =
+        '<p class="bundle-summary-line">Tick a rule above to compare it with this one.</p>';
+      return;
+    }
+
+    result.innerHTML = '<div class="loading">Loading rules</div>';
+    let others;
+    try {
+      others = await loadGuides(picked.map((entry) => entry.guide));
+    } catch (error) {
+      console.error("Error loading rules to compare:", error);
+      if (current === generation) {
+        result.innerHTML = `<p style="color: var(--color-danger);">Failed to load the rules. Tick them again to retry.</p>`;
+      }
+      return;
+    }
+    if (current !== generation) return;
+
+    result.innerHTML = comparisonHtml([
+      { stack, guide },
+      ...picked.map((entry, index) => ({
+        stack: entry.stack,
+        guide: others[index],
+      })),
+    ]);
+  };
+
+  details.addEventListener("toggle", () => {
+    if (!details.open || details.dataset.loaded) return;
+    details.dataset.loaded = "true";
+    renderComparison();
+  });
+  details
+    .querySelector(".guide-compare-picks")
+    .addEventListener("change", renderComparison);
+}
+
+const COMPARE_ROW_STATUS = {
+  same: "Same",
+  changed: "Differs",
+  partial: "Not in every rule",
+};
+
+// compareRules() as a grid with a column per rule. Sections that are the
+// same everywhere start collapsed; the others show the first rule's text
+// and, for each other rule, its diff against it.
+function comparisonHtml(entries) {
+  const rows = lib.compareRules(entries.map((entry) => entry.guide));
+  const baseName = entries[0].stack.name;
+  const count = (status) => rows.filter((row) => row.status === status).length;
+
+  const cellHtml = (cell) => {
+    if (cell.status === "missing") {
+      return '<p class="diff-empty">No such section.</p>';
+    }
+    if (cell.status === "same") {
+      return `<p class="diff-empty">Same as ${escapeHtml(baseName)}.</p>`;
+    }
+    if (cell.status === "changed") {
+      return lib.diffHtml(lib.diffHunks(cell.changes));
+    }
+    return `<pre class="compare-text"><code>${escapeHtml(
+      cell.text
+    )}</code></pre>`;
+  };
+
+  return `
+      <p class="bundle-summary-line">${rows.length} sections: ${count(
+    "same"
+  )} the same, ${count("changed")} different, ${count(
+    "partial"
+  )} not in every rule</p>
+      <div class="compare-grid" style="--compare-columns: ${entries.length}">
+          <div class="compare-columns compare-header">${entries
+            .map(
+              ({ stack, guide }) =>
+                `<span><img src="${escapeHtml(
+                  stack.icon
+                )}" alt="" class="bundle-stack-icon" />${escapeHtml(
+                  stack.name
+                )} › ${escapeHtml(guide.title)}</span>`
+            )
+            .join("")}</div>
+          ${rows
+            .map(
+              (row) => `
+          <details class="compare-row compare-${row.status}"${
+                row.status === "same" ? "" : " open"
+              }>
+              <summary>${escapeHtml(
+                row.heading
+              )} <span class="compare-status">${
+                COMPARE_ROW_STATUS[row.status]
+              }</span></summary>
+              <div class="compare-columns">${row.cells
+                .map(
+                  (cell) => `<div class="compare-cell">${cellHtml(cell)}</div>`
+                )
+                .join("")}</div>
+          </details>`
+            )
+            .join("")}
+      </div>`;
+}
+
+// Scroll the open modal to a heading, or to the top when there is no such
+// heading. Returns whether the heading was found.
+function scrollToSection(sectionId) {
+  const modalContent = document.getElementById("modalContent");
+  const modalBody = document.querySelector("#guideModal .modal-body");
+  const target = sectionId
+    ? modalContent.querySelector(`[id="${CSS.escape(sectionId)}"]`)
+    : null;
+
+  modalContent
+    .querySelectorAll(".section-target")
+    .forEach((heading) => heading.classList.remove("section-target"));
+
+  if (!target) {
+    modalBody.scrollTop = 0;
+    return false;
+  }
+
+  target.classList.add("section-target");
+  target.scrollIntoView({ block: "start" });
+  return true;
+}
+
+// The modal is a dialog: opening it moves focus into it, Tab stays inside
+// (see the keydown handler) and closing it returns focus to where it was
+let modalReturnFocus = null;
+
+function openModal() {
+  const modal = document.getElementById("guideModal");
+  if (modal.classList.contains("active")) return;
+
+  modalReturnFocus = document.activeElement;
   modal.classList.add("active");
+  modal.querySelector(".modal-content").focus();
+}
+
+function closeModal() {
+  viewGeneration++;
+  const modal = document.getElementById("guideModal");
+  const wasOpen = modal.classList.contains("active");
+  modal.classList.remove("active");
+  document.getElementById("modalFooter").classList.remove("visible");
+  currentGuide = null;
+  currentStack = null;
+  document.title = baseTitle;
+
+  // The element may be gone, e.g. re-rendered by a live reload
+  if (wasOpen && modalReturnFocus?.isConnected) modalReturnFocus.focus();
+  modalReturnFocus = null;
+}
+
+const FOCUSABLE_SELECTOR =
+  "a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), summary, [tabindex]:not([tabindex='-1'])";
+
+// Wrap Tab and Shift+Tab around the visible controls of `dialog`, and bring
+// focus back in when it was lost (content re-rendered under it)
+function trapFocus(event, dialog) {
+  const focusable = [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)].filter(
+    (element) => element.getClientRects().length > 0
+  );
+  const active = document.activeElement;
+  if (focusable.length === 0) {
+    event.preventDefault();
+    dialog.focus();
+    return;
+  }
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if (event.shiftKey && (active === first || active === dialog)) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && active === last) {
+    event.preventDefault();
+    first.focus();
+  } else if (!dialog.contains(active)) {
+    event.preventDefault();
+    (event.shiftKey ? last : first).focus();
+  }
+}
+
+// Routing: the open stack, guide and section live in the URL hash
+// (#/<stack>, #/<stack>/<guide> or #/<stack>/<guide>#<section>), so every
+// view can be linked to and the back and forward buttons move between them.
+// Hashes without the leading "#/" are ordinary in-page anchors.
+
+// Malformed percent-encoding is kept as typed; it then matches no id
+function decodeHashPart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    return part;
+  }
+}
+
+function parseRoute(hash) {
+  if (!hash.startsWith("#/")) return {};
+
+  const sectionStart = hash.indexOf("#", 2);
+  const path =
+    sectionStart === -1 ? hash.slice(2) : hash.slice(2, sectionStart);
+  const [stackId = "", guideId = ""] = path.split("/").map(decodeHashPart);
+
+  return {
+    stackId,
+    guideId,
+    sectionId:
+      sectionStart === -1 ? "" : decodeHashPart(hash.slice(sectionStart + 1)),
+  };
+}
+
+function routeHash({ stackId, guideId, sectionId } = {}) {
+  if (!stackId) return "#/";
+
+  let hash = `#/${encodeURIComponent(stackId)}`;
+  if (guideId) {
+    hash += `/${encodeURIComponent(guideId)}`;
+    if (sectionId) hash += `#${encodeURIComponent(sectionId)}`;
+  }
+  return hash;
+}
+
+// Go to a view, adding a history entry; the hashchange listener renders it
+function navigateTo(route) {
+  const hash = routeHash(route);
+  if (location.hash === hash) {
+    applyRoute();
+  } else {
+    location.hash = hash;
+  }
+}
+
+// Stack and guide links point at their static pages, so they can be opened
+// in a new tab and work without JavaScript; a plain click opens the modal
+// instead
+function setupGuideLinks() {
+  document.addEventListener("click", (event) => {
+    const link = event.target.closest("a[data-stack]");
+    if (
+      !link ||
+      event.button !== 0 ||
+      event.metaKey ||
+      event.ctrlKey ||
+      event.shiftKey ||
+      event.altKey
+    ) {
+      return;
+    }
+    event.preventDefault();
+    navigateTo({ stackId: link.dataset.stack, guideId: link.dataset.guide });
+  });
 }
 
-// Build the full .mdc content with frontmatter
-function buildMdcContent(guide) {
-  let content = "---\n";
+// Render whatever the URL points to. Unknown ids fall back to the closest
+// view that exists (the stack, else the stack list) and the URL is corrected
+// in place, without adding a history entry.
+async function applyRoute() {
+  const data = window.guidesData;
+  if (!data) return;
 
-  if (guide.frontmatter.description) {
-    content += `description: "${guide.frontmatter.description}"\n`;
+  const hash = location.hash;
+  const route = parseRoute(hash);
+  const stack = data.stacks.find((s) => s.id === route.stackId);
+  const guide = stack?.guides.find((g) => g.id === route.guideId);
+  const modalOpen = document
+    .getElementById("guideModal")
+    .classList.contains("active");
+  let sectionFound = false;
+
+  // Content files are named by hash: the same file means the same content
+  if (guide && modalOpen && currentGuide?.contentFile === guide.contentFile) {
+    sectionFound = scrollToSection(route.sectionId);
+  } else if (guide) {
+    sectionFound = await showGuide(stack.id, guide.id, route.sectionId);
+  } else if (stack) {
+    await showStackOverview(stack.id);
+  } else {
+    closeModal();
+  }
+
+  // Navigated elsewhere while the content loaded
+  if (location.hash !== hash || !hash.startsWith("#/")) return;
+
+  const resolvedHash = routeHash({
+    stackId: stack?.id,
+    guideId: guide?.id,
+    sectionId: sectionFound ? route.sectionId : "",
+  });
+  if (location.hash !== resolvedHash) {
+    history.replaceState(history.state, "", resolvedHash);
   }
+}
 
-  if (guide.globs && guide.globs.length > 0) {
-    content += "globs:\n";
-    guide.globs.forEach((glob) => {
-      content += `  - "${glob}"\n`;
+// Search index is fetched on first use; it is too large to load up front
+let searchPromise = null;
+const SEARCH_RESULT_LIMIT = 30;
+
+function loadSearch() {
+  if (!searchPromise) {
+    searchPromise = Promise.all([
+      import("./lib/search.js"),
+      fetch("data/search-index.json").then((response) => {
+        if (!response.ok) throw new Error("Failed to load search index");
+        return response.json();
+      }),
+    ]).then(([search, index]) => ({ search, index }));
+
+    // Allow a retry after a failed load
+    searchPromise.catch(() => {
+      searchPromise = null;
     });
   }
+  return searchPromise;
+}
 
-  content += `alwaysApply: ${guide.alwaysApply}\n`;
-  content += "---\n\n";
-  content += guide.content;
+function setupSearch(stacks) {
+  const input = document.getElementById("searchInput");
+  const stackFilter = document.getElementById("searchStackFilter");
+  const guideFilter = document.getElementById("searchGuideFilter");
+  const results = document.getElementById("searchResults");
+  let debounceTimer = null;
+
+  stackFilter.innerHTML += stacks
+    .map(
+      (stack) =>
+        `<option value="${stack.id}">${escapeHtml(stack.name)}</option>`
+    )
+    .join("");
 
-  return content;
+  const updateGuideFilter = () => {
+    const stack = stacks.find((s) => s.id === stackFilter.value);
+    guideFilter.innerHTML =
+      '<option value="">All guides</option>' +
+      (stack
+        ? stack.guides
+            .map(
+              (guide) =>
+                `<option value="${guide.id}">${escapeHtml(
+                  guide.title
+                )}</option>`
+            )
+            .join("")
+        : "");
+    guideFilter.disabled = !stack;
+  };
+
+  updateGuideFilter();
+
+  input.addEventListener("focus", () => loadSearch().catch(() => {}), {
+    once: true,
+  });
+  input.addEventListener("input", () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(runSearch, 120);
+  });
+  stackFilter.addEventListener("change", () => {
+    updateGuideFilter();
+    runSearch();
+  });
+  guideFilter.addEventListener("change", runSearch);
+}
+
+// Latest query wins when searches resolve out of order
+let searchGeneration = 0;
+
+async function runSearch() {
+  const query = document.getElementById("searchInput").value.trim();
+  const results = document.getElementById("searchResults");
+  const generation = ++searchGeneration;
+
+  if (!query) {
+    results.innerHTML = "";
+    return;
+  }
+
+  let search;
+  let index;
+  try {
+    ({ search, index } = await loadSearch());
+  } catch (error) {
+    console.error("Error loading search index:", error);
+    results.innerHTML =
+      '<p class="search-summary">Search is unavailable. Run <code>npm run build</code> to generate the index.</p>';
+    return;
+  }
+
+  if (generation !== searchGeneration) return;
+
+  const matches = search.searchIndex(index, query, {
+    stackId: document.getElementById("searchStackFilter").value,
+    guideId: document.getElementById("searchGuideFilter").value,
+    limit: SEARCH_RESULT_LIMIT,
+  });
+
+  if (matches.length === 0) {
+    results.innerHTML = `<p class="search-summary">No results for “${escapeHtml(
+      query
+    )}”</p>`;
+    return;
+  }
+
+  const stacks = window.guidesData.stacks;
+  const items = matches.map((match) => {
+    const stack = stacks.find((s) => s.id === match.stackId);
+    const guide = stack?.guides.find((g) => g.id === match.guideId);
+    if (!guide) return "";
+
+    const path = [stack.name, guide.title]
+      .concat(match.sectionId ? [match.heading] : [])
+      .map(escapeHtml)
+      .join(" › ");
+
+    return `<li>
+        <a href="${escapeHtml(
+          routeHash({
+            stackId: stack.id,
+            guideId: guide.id,
+            sectionId: match.sectionId,
+          })
+        )}" class="search-result">
+          <span class="search-result-path">${path}</span>
+          <span class="search-result-snippet">${search.highlightSnippet(
+            match.snippet,
+            match.terms
+          )}</span>
+        </a>
+      </li>`;
+  });
+
+  results.innerHTML = `<p class="search-summary">${matches.length}${
+    matches.length === SEARCH_RESULT_LIMIT ? "+" : ""
+  } results</p><ul class="search-results-list">${items.join("")}</ul>`;
+}
+
+// Command palette (Ctrl/Cmd+K): jump to any stack, guide or heading by
+// typing some of its letters. Headings come from the search index, which
+// is loaded when the palette first opens; until it arrives, or if it fails
+// to load, the palette offers the stacks and guides.
+const PALETTE_RESULT_LIMIT = 50;
+let paletteCommands = [];
+let paletteMatches = [];
+let paletteSelection = 0;
+let paletteReturnFocus = null;
+
+// What the palette can jump to: `text` is matched and shown, `route` is
+// where it goes. Stacks come first, then guides, then headings, so an empty
+// query lists the stacks.
+function buildPaletteCommands(stacks, index) {
+  const commands = stacks.map((stack) => ({
+    kind: "Stack",
+    text: stack.name,
+    route: { stackId: stack.id },
+  }));
+  stacks.forEach((stack) => {
+    stack.guides.forEach((guide) => {
+      commands.push({
+        kind: "Guide",
+        text: `${stack.name} › ${guide.title}`,
+        route: { stackId: stack.id, guideId: guide.id },
+      });
+    });
+  });
+
+  (index?.sections || []).forEach(([stackId, guideId, sectionId, heading]) => {
+    const stack = stacks.find((s) => s.id === stackId);
+    const guide = stack?.guides.find((g) => g.id === guideId);
+    if (!guide || !sectionId) return;
+    commands.push({
+      kind: "Section",
+      text: `${stack.name} › ${guide.title} › ${heading}`,
+      route: { stackId, guideId, sectionId },
+    });
+  });
+  return commands;
+}
+
+const isPaletteOpen = () =>
+  document.getElementById("commandPalette").classList.contains("active");
+
+function openPalette() {
+  const data = window.guidesData;
+  if (!data || isPaletteOpen()) return;
+
+  const input = document.getElementById("paletteInput");
+  paletteReturnFocus = document.activeElement;
+  paletteCommands = buildPaletteCommands(data.stacks);
+  document.getElementById("commandPalette").classList.add("active");
+  input.value = "";
+  renderPalette();
+  input.focus();
+
+  loadSearch()
+    .then(({ index }) => {
+      if (!isPaletteOpen() || window.guidesData !== data) return;
+      paletteCommands = buildPaletteCommands(data.stacks, index);
+      renderPalette();
+    })
+    .catch((error) => console.error("Error loading search index:", error));
+}
+
+function closePalette() {
+  document.getElementById("commandPalette").classList.remove("active");
+  if (paletteReturnFocus?.isConnected) paletteReturnFocus.focus();
+  paletteReturnFocus = null;
+}
+
+function renderPalette() {
+  const query = document.getElementById("paletteInput").value.trim();
+  const results = document.getElementById("paletteResults");
+
+  paletteMatches = lib.rankCommands(
+    paletteCommands,
+    query,
+    PALETTE_RESULT_LIMIT
+  );
+  results.innerHTML =
+    paletteMatches.length > 0
+      ? paletteMatches
+          .map(
+            ({ command, positions }, index) =>
+              `<li class="palette-result" id="palette-option-${index}" role="option" data-index="${index}">
+                <span class="palette-kind">${command.kind}</span>
+                <span class="palette-text">${lib.highlightMatch(
+                  command.text,
+                  positions
+                )}</span>
+              </li>`
+          )
+          .join("")
+      : `<li class="palette-empty" role="presentation">No matches for “${escapeHtml(
+          query
+        )}”</li>`;
+  selectPaletteOption(0);
+}
+
+function selectPaletteOption(index) {
+  const input = document.getElementById("paletteInput");
+  const results = document.getElementById("paletteResults");
+  paletteSelection = index;
+
+  results.querySelectorAll('[role="option"]').forEach((option) => {
+    option.setAttribute(
+      "aria-selected",
+      String(Number(option.dataset.index) === index)
+    );
+  });
+  const selected = results.querySelector(`[data-index="${index}"]`);
+  if (selected) {
+    input.setAttribute("aria-activedescendant", selected.id);
+    selected.scrollIntoView({ block: "nearest" });
+  } else {
+    input.removeAttribute("aria-activedescendant");
+  }
+}
+
+function runPaletteCommand(index) {
+  const match = paletteMatches[index];
+  if (!match) return;
+  closePalette();
+  navigateTo(match.command.route);
+}
+
+function setupPalette() {
+  const palette = document.getElementById("commandPalette");
+  const input = document.getElementById("paletteInput");
+  const results = document.getElementById("paletteResults");
+
+  if (/Mac|iPhone|iPad/.test(navigator.platform)) {
+    document.querySelector(".palette-shortcut").textContent = "⌘ K";
+  }
+  document.getElementById("paletteOpen").addEventListener("click", openPalette);
+  input.addEventListener("input", renderPalette);
+
+  // Focus stays in the input; the options are picked with the arrow keys
+  palette.addEventListener("keydown", (event) => {
+    const count = paletteMatches.length;
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      if (count > 0) {
+        const step = event.key === "ArrowDown" ? 1 : -1;
+        selectPaletteOption((paletteSelection + step + count) % count);
+      }
+    } else if (event.key === "Enter") {
+      runPaletteCommand(paletteSelection);
+    } else if (event.key === "Escape") {
+      closePalette();
+    } else if (event.key === "Tab") {
+      input.focus();
+    } else {
+      return;
+    }
+    // Handled here: not a shortcut for the modal underneath
+    event.preventDefault();
+    event.stopPropagation();
+  });
+
+  results.addEventListener("click", (event) => {
+    const option = event.target.closest("[data-index]");
+    if (option) runPaletteCommand(Number(option.dataset.index));
+  });
+  results.addEventListener("mousemove", (event) => {
+    const option = event.target.closest("[data-index]");
+    if (option && Number(option.dataset.index) !== paletteSelection) {
+      selectPaletteOption(Number(option.dataset.index));
+    }
+  });
+  palette.addEventListener("click", (event) => {
+    if (event.target === palette) closePalette();
+  });
+}
+
+// Rule variables: a form for the values, shared by the guide view and the
+// stack overview, backed by variableValues and the page's query
+
+// Every variable the guides declare, once by name; the first declaration
+// wins when several guides declare the same one
+function declaredVariables(guides) {
+  const variables = new Map();
+  guides.forEach((guide) => {
+    guide.variables.forEach((variable) => {
+      if (!variables.has(variable.name)) {
+        variables.set(variable.name, variable);
+      }
+    });
+  });
+  return [...variables.values()];
+}
+
+// Pick up values from the query, for variables some guide declares; each
+// guide checks them against its own declaration when it is rendered
+function readVariableValues(stacks) {
+  const params = new URLSearchParams(location.search);
+  variableValues = {};
+  declaredVariables(stacks.flatMap((stack) => stack.guides)).forEach(
+    (variable) => {
+      if (params.has(variable.name)) {
+        setVariableValue(variable, params.get(variable.name));
+      }
+    }
+  );
+}
+
+function setVariableValue(variable, value) {
+  if (String(value) === String(variable.default)) {
+    delete variableValues[variable.name];
+  } else {
+    variableValues[variable.name] = String(value);
+  }
+}
+
+// Put the values in the query without adding a history entry
+function writeVariableValues() {
+  const query = new URLSearchParams(variableValues).toString();
+  history.replaceState(
+    history.state,
+    "",
+    `${location.pathname}${query ? `?${query}` : ""}${location.hash}`
+  );
+}
+
+function variablesFormHtml(variables) {
+  const { values } = lib.resolveValues(variables, variableValues);
+
+  const field = (variable) => {
+    const value = values[variable.name];
+    const attributes = `data-variable="${escapeHtml(variable.name)}"`;
+    let control;
+    if (variable.type === "boolean") {
+      control = `<input type="checkbox" ${attributes}${
+        value ? " checked" : ""
+      }>`;
+    } else if (variable.values) {
+      control = `<select class="search-filter" ${attributes}>${variable.values
+        .map(
+          (option) =>
+            `<option value="${escapeHtml(option)}"${
+              option === value ? " selected" : ""
+            }>${escapeHtml(option)}</option>`
+        )
+        .join("")}</select>`;
+    } else {
+      control = `<input type="${
+        variable.type === "number" ? "number" : "text"
+      }" class="search-filter" ${attributes} value="${escapeHtml(
+        value
+      )}" autocomplete="off" spellcheck="false">`;
+    }
+
+    return `<label class="variable-field">
+        <span class="variable-name">${escapeHtml(variable.name)}</span>
+        ${control}
+        ${
+          variable.description
+            ? `<span class="variable-description">${escapeHtml(
+                variable.description
+              )}</span>`
+            : ""
+        }
+      </label>`;
+  };
+
+  return `<div class="variables-fields">${variables.map(field).join("")}</div>
+    <p class="variables-problems" hidden></p>
+    <div class="variables-actions">
+      <button class="stack-download-btn variables-link-btn"><span>Copy Link</span></button>
+      <button class="stack-download-btn variables-save-btn"><span>Save Preset</span></button>
+      <label class="stack-download-btn variables-load-btn"><span>Load Preset</span><input type="file" accept=".json,application/json" hidden></label>
+    </div>`;
+}
+
+// Wire the form that variablesFormHtml() rendered inside `panel`; `onChange`
+// runs after every change to the values
+function setupVariablesForm(panel, variables, onChange) {
+  const problems = panel.querySelector(".variables-problems");
+  const showProblems = (messages) => {
+    problems.hidden = messages.length === 0;
+    problems.textContent = messages.join(". ");
+  };
+
+  // Controls show the values in use, defaults included
+  const syncControls = () => {
+    const { values } = lib.resolveValues(variables, variableValues);
+    panel.querySelectorAll("[data-variable]").forEach((control) => {
+      const value = values[control.dataset.variable];
+      if (control.type === "checkbox") {
+        control.checked = value;
+      } else {
+        control.value = String(value);
+      }
+    });
+  };
+
+  panel.addEventListener("input", (e) => {
+    const variable = variables.find(
+      (v) => v.name === e.target.dataset.variable
+    );
+    if (!variable) return;
+
+    const input =
+      e.target.type === "checkbox" ? e.target.checked : e.target.value;
+    const { problem } = lib.variableValue(variable, input);
+    showProblems(problem ? [problem] : []);
+    if (problem) return;
+
+    setVariableValue(variable, input);
+    writeVariableValues();
+    onChange();
+  });
+
+  panel
+    .querySelector(".variables-link-btn")
+    .addEventListener("click", async (e) => {
+      const btn = e.currentTarget;
+      try {
+        await navigator.clipboard.writeText(location.href);
+        showButtonSuccess(btn, "Copied!");
+      } catch (error) {
+        console.error("Error copying link:", error);
+      }
+    });
+
+  // A preset holds every value of the form, defaults included
+  panel.querySelector(".variables-save-btn").addEventListener("click", () => {
+    const preset = {
+      variables: lib.resolveValues(variables, variableValues).values,
+    };
+    downloadBlob(
+      new Blob([`${JSON.stringify(preset, null, 2)}\n`], {
+        type: "application/json",
+      }),
+      "vibe-rules-preset.json"
+    );
+  });
+
+  const presetInput = panel.querySelector(".variables-load-btn input");
+  presetInput.addEventListener("change", async () => {
+    const file = presetInput.files[0];
+    presetInput.value = "";
+    if (!file) return;
+
+    let preset;
+    try {
+      preset = JSON.parse(await file.text());
+    } catch {
+      showProblems([`${file.name} is not valid JSON`]);
+      return;
+    }
+    const presetValues = preset?.variables;
+    if (
+      !presetValues ||
+      typeof presetValues !== "object" ||
+      Array.isArray(presetValues)
+    ) {
+      showProblems([`${file.name} has no "variables" object`]);
+      return;
+    }
+
+    // Values for variables this form does not have are left out
+    const messages = [];
+    variables.forEach((variable) => {
+      if (presetValues[variable.name] === undefined) return;
+      const { problem } = lib.variableValue(
+        variable,
+        presetValues[variable.name]
+      );
+      if (problem) {
+        messages.push(problem);
+      } else {
+        setVariableValue(variable, presetValues[variable.name]);
+      }
+    });
+
+    showProblems(messages);
+    syncControls();
+    writeVariableValues();
+    onChange();
+  });
+
+  showProblems(lib.resolveValues(variables, variableValues).problems);
 }
 
 // Copy functionality
 async function copyGuideContent(btn) {
   if (!currentGuide) return;
 
-  const content = buildMdcContent(currentGuide);
+  await copyText(lib.buildMdcContent(currentGuide), btn);
+}
 
+// Copy text to the clipboard and confirm on the button
+async function copyText(content, btn) {
   try {
     await navigator.clipboard.writeText(content);
     showButtonSuccess(btn, "Copied!");
@@ -373,27 +1614,39 @@ async function copyGuideContent(btn) {
 function saveGuideFile() {
   if (!currentGuide) return;
 
-  const content = buildMdcContent(currentGuide);
-  const blob = new Blob([content], { type: "text/plain" });
-  const url = URL.createObjectURL(blob);
-
-  // Ensure filename has .mdc extension
-  let filename = currentGuide.fileName || currentGuide.id;
-  if (!filename.endsWith(".mdc")) {
-    filename = filename + ".mdc";
-  }
+  const content = lib.buildMdcContent(currentGuide);
+  downloadBlob(
+    new Blob([content], { type: "text/plain" }),
+    lib.mdcFileName(currentGuide)
+  );
+}
 
+// Download a blob as a file
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
-  a.download = filename;
+  a.download = fileName;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
 }
 
-// Download all guides for a stack as a ZIP file
-async function downloadStackZip(stackId) {
+// Zip files ({path, content}, paths relative to the project root) and
+// download the archive
+async function downloadZip(files, fileName) {
+  try {
+    const archive = await lib.createZip(files);
+    downloadBlob(new Blob([archive], { type: "application/zip" }), fileName);
+  } catch (error) {
+    console.error("Error creating ZIP file:", error);
+    alert("Failed to create ZIP file. Please try again.");
+  }
+}
+
+// Download all guides for a stack as a ZIP file, in one of the export formats
+async function downloadStackZip(stackId, targetId = exportTargetId) {
   const data = window.guidesData;
   if (!data) {
     console.error("Guides data not loaded");
@@ -406,41 +1659,624 @@ async function downloadStackZip(stackId) {
     return;
   }
 
-  if (!window.JSZip) {
-    alert("JSZip library not loaded. Please refresh the page.");
+  let guides;
+  try {
+    guides = await loadCustomizedGuides(stack.guides);
+  } catch (error) {
+    console.error("Error loading rules:", error);
+    alert("Failed to load the rules. Please try again.");
     return;
   }
 
-  try {
-    const zip = new JSZip();
-    const rulesFolder = zip.folder(".cursor/rules");
+  await downloadZip(
+    lib.exportRules(targetId, stack, guides).files,
+    targetId === "cursor"
+      ? `${stack.id}-rules.zip`
+      : `${stack.id}-rules-${targetId}.zip`
+  );
+}
 
-    // Add each guide as a .mdc file
-    stack.guides.forEach((guide) => {
-      const content = buildMdcContent(guide);
-      let filename = guide.fileName || guide.id;
-      if (!filename.endsWith(".mdc")) {
-        filename = filename + ".mdc";
+// Bundle builder: guides from several stacks, each in its own directory
+function setupBundle(stacks) {
+  const section = document.getElementById("bundle");
+
+  document.getElementById("bundleStacks").innerHTML = stacks
+    .map(
+      (stack) => `
+        <details class="bundle-stack" data-stack="${stack.id}">
+            <summary>
+                <img src="${escapeHtml(
+                  stack.icon
+                )}" alt="" class="bundle-stack-icon" />
+                <span class="bundle-stack-name">${escapeHtml(stack.name)}</span>
+                <span class="bundle-stack-count">0/${stack.guides.length}</span>
+            </summary>
+            <div class="bundle-stack-body">
+                <label class="bundle-directory">
+                    <span>Directory</span>
+                    <input type="text" class="bundle-directory-input" placeholder="project root" autocomplete="off" spellcheck="false">
+                </label>
+                <p class="bundle-error" hidden></p>
+                <label class="bundle-guide bundle-guide-all">
+                    <input type="checkbox" class="bundle-all"> All guides
+                </label>
+                <div class="bundle-guides">
+                    ${stack.guides
+                      .map(
+                        (guide) => `
+                    <label class="bundle-guide">
+                        <input type="checkbox" class="bundle-guide-checkbox" value="${
+                          guide.id
+                        }">
+                        ${escapeHtml(guide.title)}
+                    </label>`
+                      )
+                      .join("")}
+                </div>
+            </div>
+        </details>`
+    )
+    .join("");
+
+  document.getElementById("bundleStrategy").innerHTML +=
+    lib.CONFLICT_STRATEGIES.map(
+      (strategy, index) => `
+        <label class="bundle-strategy-option">
+            <input type="radio" name="bundleStrategy" value="${strategy.id}"${
+        index === 0 ? " checked" : ""
+      }>
+            <span><strong>${escapeHtml(strategy.name)}</strong> ${escapeHtml(
+        strategy.description
+      )}</span>
+        </label>`
+    ).join("");
+
+  section.addEventListener("change", (e) => {
+    if (e.target.classList.contains("bundle-all")) {
+      e.target
+        .closest(".bundle-stack")
+        .querySelectorAll(".bundle-guide-checkbox")
+        .forEach((checkbox) => {
+          checkbox.checked = e.target.checked;
+        });
+    }
+    updateBundle();
+  });
+  section.addEventListener("input", (e) => {
+    if (e.target.classList.contains("bundle-directory-input")) updateBundle();
+  });
+  document
+    .getElementById("bundleDownload")
+    .addEventListener("click", downloadBundle);
+
+  updateBundle();
+}
+
+// Read the bundle form, updating each stack's counter, "All guides" box and
+// directory error on the way
+function readBundleForm() {
+  const selections = [];
+  let valid = true;
+
+  document
+    .querySelectorAll("#bundleStacks .bundle-stack")
+    .forEach((details) => {
+      const stack = window.guidesData.stacks.find(
+        (s) => s.id === details.dataset.stack
+      );
+      const checkboxes = [
+        ...details.querySelectorAll(".bundle-guide-checkbox"),
+      ];
+      const checkedIds = checkboxes
+        .filter((checkbox) => checkbox.checked)
+        .map((checkbox) => checkbox.value);
+      const directory = details.querySelector(".bundle-directory-input").value;
+      const problem = lib.bundleDirectoryError(directory);
+
+      const allCheckbox = details.querySelector(".bundle-all");
+      allCheckbox.checked = checkedIds.length === checkboxes.length;
+      allCheckbox.indeterminate =
+        checkedIds.length > 0 && checkedIds.length < checkboxes.length;
+      details.querySelector(
+        ".bundle-stack-count"
+      ).textContent = `${checkedIds.length}/${checkboxes.length}`;
+
+      const error = details.querySelector(".bundle-error");
+      error.hidden = !problem;
+      error.textContent = problem ? `Directory ${problem}` : "";
+
+      if (checkedIds.length === 0) return;
+      if (problem) {
+        valid = false;
+        return;
       }
-      rulesFolder.file(filename, content);
+
+      selections.push({
+        stack,
+        guides: stack.guides.filter((guide) => checkedIds.includes(guide.id)),
+        directory,
+      });
     });
 
-    // Generate the ZIP file
-    const blob = await zip.generateAsync({ type: "blob" });
-
-    // Create download link
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${stack.id}-rules.zip`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  const strategy = document.querySelector(
+    'input[name="bundleStrategy"]:checked'
+  ).value;
+
+  return { selections, strategy, valid };
+}
+
+// Latest form state wins when rule bodies load out of order
+let bundleGeneration = 0;
+
+// Re-resolve the bundle and show what it contains; resolves to the bundle,
+// or null when there is nothing (valid) to download
+async function updateBundle() {
+  const summary = document.getElementById("bundleSummary");
+  const downloadButton = document.getElementById("bundleDownload");
+  const { selections, strategy, valid } = readBundleForm();
+  const generation = ++bundleGeneration;
+
+  downloadButton.disabled = true;
+
+  if (selections.length === 0) {
+    summary.innerHTML = valid
+      ? '<p class="bundle-summary-line">Tick guides above to start a bundle.</p>'
+      : "";
+    return null;
+  }
+
+  let bundle;
+  try {
+    const loaded = await Promise.all(
+      selections.map(async (selection) => ({
+        ...selection,
+        guides: await loadCustomizedGuides(selection.guides),
+      }))
+    );
+    if (generation !== bundleGeneration) return null;
+    bundle = lib.buildBundle(loaded, strategy);
   } catch (error) {
-    console.error("Error creating ZIP file:", error);
-    alert("Failed to create ZIP file. Please try again.");
+    if (generation !== bundleGeneration) return null;
+    summary.innerHTML = `<p class="bundle-error">${escapeHtml(
+      error.message
+    )}</p>`;
+    return null;
   }
+
+  const stackName = (stackId) =>
+    window.guidesData.stacks.find((s) => s.id === stackId).name;
+  const code = (text) => `<code>${escapeHtml(text)}</code>`;
+
+  const conflicts = bundle.conflicts
+    .map(
+      (conflict) =>
+        `<li>${code(conflict.path)} from ${conflict.sources
+          .map((source) => escapeHtml(stackName(source.stackId)))
+          .join(" and ")} → ${conflict.paths.map(code).join(", ")}${
+          conflict.note ? ` <em>(${escapeHtml(conflict.note)})</em>` : ""
+        }</li>`
+    )
+    .join("");
+
+  summary.innerHTML = `
+      <p class="bundle-summary-line">${bundle.files.length} files from ${
+    selections.length
+  } ${selections.length === 1 ? "stack" : "stacks"}, ${
+    bundle.conflicts.length
+  } file name ${bundle.conflicts.length === 1 ? "clash" : "clashes"}</p>
+      ${conflicts ? `<ul class="bundle-conflicts">${conflicts}</ul>` : ""}
+      <details class="bundle-files">
+          <summary>Files in the bundle</summary>
+          <ul>${bundle.files
+            .map((file) => `<li>${code(file.path)}</li>`)
+            .join("")}
+              <li>${code(lib.BUNDLE_MANIFEST_FILE)}</li></ul>
+      </details>`;
+
+  downloadButton.disabled = !valid;
+  return valid ? bundle : null;
+}
+
+async function downloadBundle() {
+  const bundle = await updateBundle();
+  if (!bundle) return;
+
+  const manifest = {
+    ...bundle.manifest,
+    generatedAt: new Date().toISOString(),
+  };
+
+  await downloadZip(
+    [
+      ...bundle.files,
+      {
+        path: lib.BUNDLE_MANIFEST_FILE,
+        content: `${JSON.stringify(manifest, null, 2)}\n`,
+      },
+    ],
+    "vibe-rules-bundle.zip"
+  );
+}
+
+// "Which rules apply?": match file paths against the guides' globs with
+// the engine behind `vibe-rules coverage` (lib/coverage.js)
+const RULE_TESTER_FILE_LIMIT = 200;
+// Dropped or picked folders are read up to this many files
+const RULE_TESTER_READ_LIMIT = 20000;
+const RULE_TESTER_SKIPPED = ["node_modules", ".git"];
+
+function setupRuleTester(stacks) {
+  const section = document.getElementById("ruleTester");
+  const stackSelect = document.getElementById("ruleTesterStack");
+  const pathsInput = document.getElementById("ruleTesterPaths");
+  const folderInput = document.getElementById("ruleTesterFolder");
+  let debounceTimer = null;
+
+  stackSelect.innerHTML += stacks
+    .map(
+      (stack) =>
+        `<option value="${stack.id}">${escapeHtml(stack.name)}</option>`
+    )
+    .join("");
+
+  const setPaths = (paths) => {
+    pathsInput.value = paths.join("\n");
+    runRuleTester();
+    if (paths.length === 0) {
+      document.getElementById("ruleTesterResults").innerHTML =
+        '<p class="bundle-summary-line">No files: the folder is empty, or holds only skipped folders (node_modules, .git).</p>';
+    }
+  };
+
+  stackSelect.addEventListener("change", runRuleTester);
+  pathsInput.addEventListener("input", () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(runRuleTester, 150);
+  });
+
+  // A picked folder's paths start with the folder's own name
+  folderInput.addEventListener("change", () => {
+    setPaths(
+      [...folderInput.files]
+        .map((file) => file.webkitRelativePath.split("/").slice(1))
+        .filter(
+          (segments) =>
+            !segments.some((segment) => RULE_TESTER_SKIPPED.includes(segment))
+        )
+        .slice(0, RULE_TESTER_READ_LIMIT)
+        .map((segments) => segments.join("/"))
+    );
+    folderInput.value = "";
+  });
+
+  section.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    section.classList.add("dragging");
+  });
+  section.addEventListener("dragleave", (e) => {
+    if (!section.contains(e.relatedTarget)) {
+      section.classList.remove("dragging");
+    }
+  });
+  section.addEventListener("drop", async (e) => {
+    e.preventDefault();
+    section.classList.remove("dragging");
+
+    const entries = [...e.dataTransfer.items]
+      .map((item) => item.webkitGetAsEntry?.())
+      .filter(Boolean);
+    if (entries.length === 0) return;
+
+    const paths = [];
+    for (const entry of entries) await readEntryPaths(entry, paths);
+
+    // One dropped folder is the project root; otherwise keep the names
+    const root =
+      entries.length === 1 && entries[0].isDirectory
+        ? `${entries[0].fullPath}/`
+        : "/";
+    setPaths(
+      paths.map((path) =>
+        path.startsWith(root) ? path.slice(root.length) : path
+      )
+    );
+  });
+}
+
+// Collect the file paths under a dropped FileSystemEntry
+async function readEntryPaths(entry, paths) {
+  if (paths.length >= RULE_TESTER_READ_LIMIT) return;
+  if (entry.isFile) {
+    paths.push(entry.fullPath);
+    return;
+  }
+  if (RULE_TESTER_SKIPPED.includes(entry.name)) return;
+
+  // readEntries() returns a batch at a time, then an empty one
+  const reader = entry.createReader();
+  for (;;) {
+    const batch = await new Promise((resolve, reject) =>
+      reader.readEntries(resolve, reject)
+    );
+    if (batch.length === 0) return;
+    for (const child of batch) await readEntryPaths(child, paths);
+  }
+}
+
+function runRuleTester() {
+  const results = document.getElementById("ruleTesterResults");
+  const stackId = document.getElementById("ruleTesterStack").value;
+  const filePaths = document
+    .getElementById("ruleTesterPaths")
+    .value.split("\n")
+    .filter((line) => line.trim());
+
+  if (filePaths.length === 0) {
+    results.innerHTML = "";
+    return;
+  }
+
+  const stacks = window.guidesData.stacks.filter(
+    (stack) => !stackId || stack.id === stackId
+  );
+  const coverage = lib.ruleCoverage(
+    filePaths,
+    stacks.flatMap((stack) => stack.guides.map((guide) => ({ stack, guide })))
+  );
+  if (coverage.files.length === 0) {
+    results.innerHTML =
+      '<p class="bundle-summary-line">No files: none of the lines is a file path.</p>';
+    return;
+  }
+
+  const code = (text) => `<code>${escapeHtml(text)}</code>`;
+  const ruleLink = ({ stack, guide }) =>
+    `<a href="${routeHash({
+      stackId: stack.id,
+      guideId: guide.id,
+    })}">${escapeHtml(
+      stacks.length > 1 ? `${stack.name} › ${guide.title}` : guide.title
+    )}</a>`;
+
+  const ruleItem = ({ rule, mode, matches }) => {
+    const globs = rule.guide.globs.map(code).join(", ");
+    let status;
+    let detail;
+    if (mode === "always") {
+      status = '<span class="rule-status rule-status-always">Always</span>';
+      detail = globs
+        ? `every file; its globs (${globs}) are ignored`
+        : "every file";
+    } else if (mode === "globs" && matches > 0) {
+      status = `<span class="rule-status rule-status-globs">${matches} ${
+        matches === 1 ? "file" : "files"
+      }</span>`;
+      detail = globs;
+    } else {
+      status =
+        '<span class="rule-status rule-status-never">Never loaded</span>';
+      detail = {
+        globs: `no file matches ${globs}`,
+        description: "the agent decides from its description",
+        manual: "only when @-mentioned",
+      }[mode];
+    }
+    return `<li>${status}<a href="${routeHash({
+      stackId: rule.stack.id,
+      guideId: rule.guide.id,
+    })}">${escapeHtml(rule.guide.title)}</a>
+        <span class="rule-tester-detail">${detail}</span></li>`;
+  };
+
+  const stackSections = stacks
+    .map((stack) => {
+      const rules = coverage.rules.filter(
+        (entry) => entry.rule.stack === stack
+      );
+      return `
+        <div class="rule-tester-stack">
+            <h3><img src="${escapeHtml(
+              stack.icon
+            )}" alt="" class="bundle-stack-icon" />${escapeHtml(
+        stack.name
+      )}</h3>
+            <ul class="rule-tester-rules">${rules.map(ruleItem).join("")}</ul>
+        </div>`;
+    })
+    .join("");
+
+  const fileItems = coverage.files
+    .slice(0, RULE_TESTER_FILE_LIMIT)
+    .map((file) => {
+      const attached =
+        file.globs.length > 0
+          ? file.globs.map(ruleLink).join(", ")
+          : file.always.length === 0
+          ? '<span class="rule-tester-uncovered">No rule</span>'
+          : "";
+      const always =
+        file.always.length > 0
+          ? `<span class="rule-tester-detail">${
+              file.globs.length > 0 ? "+ " : ""
+            }${file.always.length} always applied</span>`
+          : "";
+      return `<li>${code(file.path)} ${attached} ${always}</li>`;
+    })
+    .join("");
+
+  const globMatched = coverage.files.filter((file) => file.globs.length > 0);
+  const uncovered = coverage.files.filter(
+    (file) => file.globs.length === 0 && file.always.length === 0
+  );
+  const total = coverage.files.length;
+
+  results.innerHTML = `
+      <p class="bundle-summary-line">${total} ${
+    total === 1 ? "file" : "files"
+  }, ${globMatched.length} matched by globs, ${
+    uncovered.length
+  } with no rule</p>
+      ${stackSections}
+      <details class="rule-tester-file-list"${total <= 20 ? " open" : ""}>
+          <summary>Files${
+            total > RULE_TESTER_FILE_LIMIT
+              ? ` (first ${RULE_TESTER_FILE_LIMIT} of ${total})`
+              : ""
+          }</summary>
+          <ul class="rule-tester-files">${fileItems}</ul>
+      </details>`;
+}
+
+// "Filter Rules": every rule of every stack, narrowed by facets
+// (lib/facets.js). The checkboxes are drawn once per data load and then only
+// updated, so the one just ticked keeps keyboard focus.
+let ruleFilterEntries = [];
+
+function setupRuleFilter(stacks) {
+  const facets = document.getElementById("ruleFilterFacets");
+
+  facets.addEventListener("change", updateRuleFilter);
+  facets.addEventListener("click", (e) => {
+    if (!e.target.closest(".rule-filter-clear")) return;
+    facets.querySelectorAll("input:checked").forEach((checkbox) => {
+      checkbox.checked = false;
+    });
+    updateRuleFilter();
+  });
+
+  renderRuleFilter(stacks);
+}
+
+// The values of each facet as `{value, label}`, in the order they are listed
+function ruleFilterOptions(stacks, entries) {
+  const used = (facetId) =>
+    [...new Set(entries.flatMap((entry) => entry.values[facetId]))].sort();
+  return {
+    stack: stacks.map((stack) => ({ value: stack.id, label: stack.name })),
+    topic: used("topic").map((topic) => ({ value: topic, label: topic })),
+    mode: lib.APPLY_MODES.map((mode) => ({
+      value: mode.id,
+      label: mode.label,
+    })),
+    extension: used("extension").map((extension) => ({
+      value: extension,
+      label: `.${extension}`,
+    })),
+  };
+}
+
+// Draw the facets for `stacks`, keeping the values that were ticked
+function renderRuleFilter(stacks) {
+  const selection = readRuleFilterSelection();
+  ruleFilterEntries = lib.ruleEntries(stacks);
+  const options = ruleFilterOptions(stacks, ruleFilterEntries);
+
+  document.getElementById("ruleFilterFacets").innerHTML = `${lib.FACETS.map(
+    (facet) => `
+      <fieldset class="rule-filter-facet" data-facet="${facet.id}">
+          <legend>${escapeHtml(facet.label)}</legend>
+          ${options[facet.id]
+            .map(
+              (option) => `
+          <label class="rule-filter-option">
+              <input type="checkbox" value="${escapeHtml(option.value)}"${
+                selection[facet.id].has(option.value) ? " checked" : ""
+              }>
+              <span class="rule-filter-label">${escapeHtml(option.label)}</span>
+              <span class="rule-filter-count"></span>
+          </label>`
+            )
+            .join("")}
+      </fieldset>`
+  ).join("")}
+      <button type="button" class="rule-filter-clear">Clear Filters</button>`;
+
+  updateRuleFilter();
+}
+
+// The ticked values of each facet, as Sets
+function readRuleFilterSelection() {
+  return Object.fromEntries(
+    lib.FACETS.map(({ id }) => [
+      id,
+      new Set(
+        [
+          ...document.querySelectorAll(
+            `#ruleFilterFacets [data-facet="${id}"] input:checked`
+          ),
+        ].map((checkbox) => checkbox.value)
+      ),
+    ])
+  );
+}
+
+// Update the counts next to every value and list the rules that match
+function updateRuleFilter() {
+  const selection = readRuleFilterSelection();
+  const counts = lib.facetCounts(ruleFilterEntries, selection);
+
+  document
+    .querySelectorAll("#ruleFilterFacets .rule-filter-facet")
+    .forEach((fieldset) => {
+      const facetCounts = counts[fieldset.dataset.facet];
+      fieldset.querySelectorAll(".rule-filter-option").forEach((option) => {
+        const checkbox = option.querySelector("input");
+        const count = facetCounts.get(checkbox.value) || 0;
+        option.querySelector(".rule-filter-count").textContent = count;
+        // A ticked value stays enabled so it can be unticked
+        checkbox.disabled = count === 0 && !checkbox.checked;
+        option.classList.toggle("empty", checkbox.disabled);
+      });
+    });
+
+  const filtering = Object.values(selection).some((values) => values.size > 0);
+  document.querySelector("#ruleFilterFacets .rule-filter-clear").disabled =
+    !filtering;
+
+  const results = document.getElementById("ruleFilterResults");
+  if (!filtering) {
+    results.innerHTML = `<p class="bundle-summary-line">Tick a stack, topic, apply mode or file type to list the matching rules out of all ${ruleFilterEntries.length}.</p>`;
+    return;
+  }
+
+  const matched = lib.filterEntries(ruleFilterEntries, selection);
+  if (matched.length === 0) {
+    results.innerHTML =
+      '<p class="bundle-summary-line">No rule matches all of these filters.</p>';
+    return;
+  }
+
+  const byStack = new Map();
+  for (const { stack, guide } of matched) {
+    if (!byStack.has(stack)) byStack.set(stack, []);
+    byStack.get(stack).push(guide);
+  }
+
+  results.innerHTML = `
+      <p class="bundle-summary-line">${matched.length} ${
+    matched.length === 1 ? "rule" : "rules"
+  } in ${byStack.size} ${byStack.size === 1 ? "stack" : "stacks"}</p>
+      ${[...byStack]
+        .map(
+          ([stack, guides]) => `
+        <div class="rule-filter-stack">
+            <h3><img src="${escapeHtml(
+              stack.icon
+            )}" alt="" class="bundle-stack-icon" />${escapeHtml(
+            stack.name
+          )}</h3>
+            <div class="guides-grid">${guides
+              .map((guide) =>
+                lib.guideItemHtml(
+                  stack.id,
+                  guide,
+                  lib.pagePath(stack.id, guide.id)
+                )
+              )
+              .join("")}</div>
+        </div>`
+        )
+        .join("")}`;
 }
 
 // Show success state on button
@@ -457,14 +2293,116 @@ function showButtonSuccess(btn, text) {
 
 // Modal close handlers
 document.getElementById("modalClose").addEventListener("click", () => {
-  document.getElementById("guideModal").classList.remove("active");
-  document.getElementById("modalFooter").classList.remove("visible");
+  navigateTo({});
 });
 
 document.getElementById("guideModal").addEventListener("click", (e) => {
   if (e.target.id === "guideModal") {
-    document.getElementById("guideModal").classList.remove("active");
-    document.getElementById("modalFooter").classList.remove("visible");
+    navigateTo({});
+  }
+});
+
+// In-page anchors inside a guide ("#retries") would otherwise replace the
+// route and close the modal; keep them within the open guide
+document.getElementById("modalContent").addEventListener("click", (e) => {
+  const link = e.target.closest('a[href^="#"]');
+  if (!link || link.getAttribute("href").startsWith("#/")) return;
+
+  e.preventDefault();
+  const sectionId = decodeHashPart(link.getAttribute("href").slice(1));
+  if (currentGuide) {
+    navigateTo({
+      stackId: currentStack.id,
+      guideId: currentGuide.id,
+      sectionId,
+    });
+  } else {
+    scrollToSection(sectionId);
+  }
+});
+
+window.addEventListener("hashchange", applyRoute);
+
+// Scroll-spy for the open guide's table of contents, once per frame
+let scrollSpyFrame = 0;
+document.querySelector("#guideModal .modal-body").addEventListener(
+  "scroll",
+  () => {
+    if (scrollSpyFrame) return;
+    scrollSpyFrame = requestAnimationFrame(() => {
+      scrollSpyFrame = 0;
+      updateScrollSpy();
+    });
+  },
+  { passive: true }
+);
+
+// Typing into a field, where single letters are text and not shortcuts
+const isEditable = (element) =>
+  element.closest("input, textarea, select, [contenteditable]") !== null;
+
+// The guide `offset` places from the open one in its stack, if there is one
+function showAdjacentGuide(offset) {
+  const { stackId, guideId } = parseRoute(location.hash);
+  const stack = window.guidesData?.stacks.find((s) => s.id === stackId);
+  if (!stack || !guideId) return;
+
+  const index = stack.guides.findIndex((g) => g.id === guideId);
+  const guide = stack.guides[index + offset];
+  if (guide) navigateTo({ stackId, guideId: guide.id });
+}
+
+// Keyboard shortcuts: Ctrl/Cmd+K toggles the palette anywhere. In the modal,
+// Escape closes it, Tab stays inside it and, unless a field has focus, C
+// copies the guide, S saves it and N and P open the next and previous guide.
+document.addEventListener("keydown", (event) => {
+  if (
+    (event.ctrlKey || event.metaKey) &&
+    !event.altKey &&
+    !event.shiftKey &&
+    event.key.toLowerCase() === "k"
+  ) {
+    event.preventDefault();
+    if (isPaletteOpen()) {
+      closePalette();
+    } else {
+      openPalette();
+    }
+    return;
+  }
+
+  const modal = document.getElementById("guideModal");
+  if (isPaletteOpen() || !modal.classList.contains("active")) return;
+
+  if (event.key === "Escape") {
+    event.preventDefault();
+    navigateTo({});
+    return;
+  }
+  if (event.key === "Tab") {
+    trapFocus(event, modal.querySelector(".modal-content"));
+    return;
+  }
+  if (
+    event.ctrlKey ||
+    event.metaKey ||
+    event.altKey ||
+    event.repeat ||
+    isEditable(event.target)
+  ) {
+    return;
+  }
+
+  const actions = {
+    c: () => copyGuideContent(document.getElementById("copyBtn")),
+    s: saveGuideFile,
+    n: () => showAdjacentGuide(1),
+    p: () => showAdjacentGuide(-1),
+  };
+  const action = actions[event.key.toLowerCase()];
+  if (action) {
+    event.preventDefault();
+    action();
   }
 });
 
@@ -485,18 +2423,125 @@ document.getElementById("saveBtnFooter").addEventListener("click", () => {
   saveGuideFile();
 });
 
+// Called by the dev server's live reload (npm run dev) after a rebuild:
+// swap in the new data and re-render without losing the open guide or its
+// scroll position. Added or removed guides need a full reload instead.
+async function refreshGuidesData() {
+  const response = await fetch("data/guides.json", { cache: "no-store" });
+  if (!response.ok) throw new Error("Failed to load guides data");
+  const data = await response.json();
+
+  const guideIds = (stacks) =>
+    stacks
+      .map((stack) => `${stack.id}:${stack.guides.map((g) => g.id).join()}`)
+      .join();
+  if (
+    !window.guidesData ||
+    guideIds(data.stacks) !== guideIds(window.guidesData.stacks)
+  ) {
+    location.reload();
+    return;
+  }
+
+  window.guidesData = data;
+  searchPromise = null;
+  renderStacks(data.stacks);
+  renderRuleFilter(data.stacks);
+
+  const modalBody = document.querySelector(".modal-body");
+  const scrollTop = modalBody.scrollTop;
+  await applyRoute();
+  modalBody.scrollTop = scrollTop;
+
+  if (document.getElementById("searchInput").value.trim()) {
+    runSearch();
+  }
+}
+
+// Offline use: the service worker (sw.js) keeps the site and its data, and
+// the status line above the intro says when the rules shown may be out of
+// date. The dev server has its own way of serving fresh files.
+function setupOffline() {
+  if (!("serviceWorker" in navigator) || window.liveReload) return;
+
+  navigator.serviceWorker.register("sw.js").catch((error) => {
+    console.error("Error registering the service worker:", error);
+  });
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    if (event.data?.type === "update-check") showDataStatus(event.data);
+  });
+
+  // Pages the worker did not serve (the first visit) are already current
+  const checkForUpdate = () =>
+    navigator.serviceWorker.controller?.postMessage({
+      type: "check-for-update",
+    });
+  window.addEventListener("online", checkForUpdate);
+  window.addEventListener("offline", () =>
+    showDataStatus({ status: "offline" })
+  );
+  checkForUpdate();
+}
+
+// `status` is the service worker's answer: "current", "updated" (a newer
+// build, from `generatedAt`, is ready) or "offline"
+function showDataStatus({ status, generatedAt }) {
+  const element = document.getElementById("dataStatus");
+  const shownDate = window.guidesData
+    ? lib.formatDate(window.guidesData.generatedAt)
+    : "";
+
+  if (status === "updated") {
+    element.innerHTML = `Rules published on ${escapeHtml(
+      lib.formatDate(generatedAt)
+    )} are ready; these are from ${escapeHtml(
+      shownDate
+    )}. <button class="data-status-reload">Reload</button>`;
+    element
+      .querySelector(".data-status-reload")
+      .addEventListener("click", () => location.reload());
+  } else if (status === "offline") {
+    element.textContent = `Offline: showing the rules saved on this device${
+      shownDate ? `, built ${shownDate}` : ""
+    }. Newer rules may have been published since.`;
+  }
+  element.hidden = status === "current";
+  element.classList.toggle("data-status-updated", status === "updated");
+}
+
 // Load data and initialize
 async function init() {
   try {
-    const response = await fetch("data/guides.json");
-    if (response.ok) {
-      window.guidesData = await response.json();
-    }
+    lib = {
+      ...(await import("./lib/mdc.js")),
+      ...(await import("./lib/export.js")),
+      ...(await import("./lib/bundle.js")),
+      ...(await import("./lib/coverage.js")),
+      ...(await import("./lib/views.js")),
+      ...(await import("./lib/diff.js")),
+      ...(await import("./lib/variables.js")),
+      ...(await import("./lib/zip.js")),
+      ...(await import("./lib/palette.js")),
+      ...(await import("./lib/facets.js")),
+      ...(await import("./lib/compare.js")),
+    };
   } catch (error) {
-    console.error("Error loading guides data:", error);
+    console.error("Error loading shared modules:", error);
   }
 
-  loadStacks();
+  await loadStacks();
+  setupGuideLinks();
+  setupOffline();
+  setupPalette();
+
+  if (window.guidesData) {
+    readVariableValues(window.guidesData.stacks);
+    setupSearch(window.guidesData.stacks);
+    setupBundle(window.guidesData.stacks);
+    setupRuleTester(window.guidesData.stacks);
+    setupRuleFilter(window.guidesData.stacks);
+    applyRoute();
+  }
 }
 
 // Initialize on page load
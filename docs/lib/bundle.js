@@ -0,0 +1,222 @@
+// Bundles: guides picked from several stacks, each stack installed into its
+// own project subdirectory (nested rules such as backend/.cursor/rules), as
+// one set of files. Stacks share file names (testing.mdc, no-hiding.mdc), so
+// files that would land on the same path are resolved with a strategy.
+
+import { demoteHeadings, yamlString } from "./export.js";
+import { buildMdcContent, mdcFileName } from "./mdc.js";
+
+export const CONFLICT_STRATEGIES = [
+  {
+    id: "prefix",
+    name: "Prefix",
+    description: "Rename clashing files to <stack>-<file>.mdc",
+  },
+  {
+    id: "separate",
+    name: "Separate directories",
+    description: "Move clashing files to .cursor/rules/<stack>/",
+  },
+  {
+    id: "merge",
+    name: "Merge",
+    description: "Combine clashing rules into one file, one section per stack",
+  },
+];
+
+// Written to the root of every bundle ZIP
+export const BUNDLE_MANIFEST_FILE = "vibe-rules-bundle.json";
+
+/**
+ * Describe what is wrong with a stack's target directory, or return null.
+ * Directories are relative to the project root; "" or "." is the root.
+ */
+export function bundleDirectoryError(directory) {
+  const trimmed = directory.trim();
+  if (/^[a-z]:/i.test(trimmed)) {
+    return "must be relative to the project root";
+  }
+
+  const segments = trimmed.split(/[\\/]/);
+  if (segments.includes("..")) {
+    return "must not leave the project (`..`)";
+  }
+  if (segments.some((segment) => /[<>:"|?*\u0000-\u001f]/.test(segment))) {
+    return 'must not contain <>:"|?* or control characters';
+  }
+
+  return null;
+}
+
+// "./backend/" -> "backend", "apps\\web" -> "apps/web", "." -> ""
+export function normalizeBundleDirectory(directory) {
+  return directory
+    .trim()
+    .split(/[\\/]/)
+    .filter((segment) => segment !== "" && segment !== ".")
+    .join("/");
+}
+
+const unique = (values) => [...new Set(values)];
+
+// One .mdc rule made of several stacks' rules of the same name. Frontmatter
+// is combined so the merged rule loads whenever any of its parts would.
+function mergeRules(entries) {
+  const descriptions = unique(
+    entries.map((entry) => entry.guide.frontmatter.description).filter(Boolean)
+  );
+  const globs = unique(entries.flatMap((entry) => entry.guide.globs || []));
+  const alwaysApply = entries.some((entry) => entry.guide.alwaysApply);
+
+  const frontmatter = ["---"];
+  if (descriptions.length > 0) {
+    frontmatter.push(`description: ${yamlString(descriptions.join(" / "))}`);
+  }
+  if (globs.length > 0) {
+    frontmatter.push(
+      "globs:",
+      ...globs.map((glob) => `  - ${yamlString(glob)}`)
+    );
+  }
+  frontmatter.push(`alwaysApply: ${alwaysApply}`, "---");
+
+  const sections = entries.map(
+    (entry) =>
+      `# ${entry.stack.name}\n\n${demoteHeadings(entry.guide.content.trim())}`
+  );
+
+  let note = "";
+  const partlyAlways =
+    alwaysApply && entries.some((entry) => !entry.guide.alwaysApply);
+  if (partlyAlways) {
+    note = `Always applied because ${entries
+      .filter((entry) => entry.guide.alwaysApply)
+      .map((entry) => entry.stack.name)
+      .join(", ")} always applies its rule`;
+  }
+
+  return {
+    content: `${frontmatter.join("\n")}\n\n${sections.join("\n\n")}\n`,
+    note,
+  };
+}
+
+const source = (entry) => ({
+  stackId: entry.stack.id,
+  guideId: entry.guide.id,
+});
+
+/**
+ * Files for a bundle of Cursor rules. `selections` are `{stack, guides,
+ * directory}`, one per stack. Returns `{files, conflicts, manifest}`:
+ * files are `{path, content, sources}`, conflicts list every path more than
+ * one stack wanted with how it was resolved, and the manifest describes the
+ * bundle for BUNDLE_MANIFEST_FILE. Rules with identical content are written
+ * once and are not conflicts.
+ */
+export function buildBundle(selections, strategy = "prefix") {
+  if (!CONFLICT_STRATEGIES.some((option) => option.id === strategy)) {
+    throw new Error(`Unknown conflict strategy "${strategy}"`);
+  }
+
+  const entriesByPath = new Map();
+
+  for (const { stack, guides, directory = "" } of selections) {
+    const problem = bundleDirectoryError(directory);
+    if (problem) {
+      throw new Error(`Directory for ${stack.name} ${problem}`);
+    }
+
+    const rulesDir = [normalizeBundleDirectory(directory), ".cursor/rules"]
+      .filter(Boolean)
+      .join("/");
+
+    for (const guide of guides) {
+      const fileName = mdcFileName(guide);
+      const filePath = `${rulesDir}/${fileName}`;
+      const entries = entriesByPath.get(filePath) || [];
+      entries.push({
+        stack,
+        guide,
+        rulesDir,
+        fileName,
+        content: buildMdcContent(guide),
+      });
+      entriesByPath.set(filePath, entries);
+    }
+  }
+
+  const files = [];
+  const conflicts = [];
+
+  for (const [filePath, entries] of entriesByPath) {
+    const contents = unique(entries.map((entry) => entry.content));
+
+    if (contents.length === 1) {
+      files.push({
+        path: filePath,
+        content: contents[0],
+        sources: entries.map(source),
+      });
+      continue;
+    }
+
+    const conflict = {
+      path: filePath,
+      resolution: strategy,
+      sources: entries.map(source),
+      paths: [],
+      note: "",
+    };
+
+    if (strategy === "merge") {
+      const { content, note } = mergeRules(entries);
+      files.push({ path: filePath, content, sources: entries.map(source) });
+      conflict.paths.push(filePath);
+      conflict.note = note;
+    } else {
+      for (const entry of entries) {
+        const resolvedPath =
+          strategy === "prefix"
+            ? `${entry.rulesDir}/${entry.stack.id}-${entry.fileName}`
+            : `${entry.rulesDir}/${entry.stack.id}/${entry.fileName}`;
+        files.push({
+          path: resolvedPath,
+          content: entry.content,
+          sources: [source(entry)],
+        });
+        conflict.paths.push(resolvedPath);
+      }
+    }
+
+    conflicts.push(conflict);
+  }
+
+  // A renamed file could still hit a rule that really has that name
+  const seenPaths = new Set();
+  for (const file of files) {
+    if (seenPaths.has(file.path)) {
+      throw new Error(
+        `${file.path} is produced twice; pick another conflict strategy`
+      );
+    }
+    seenPaths.add(file.path);
+  }
+
+  files.sort((a, b) => a.path.localeCompare(b.path));
+
+  const manifest = {
+    version: 1,
+    strategy,
+    stacks: selections.map(({ stack, guides, directory = "" }) => ({
+      id: stack.id,
+      name: stack.name,
+      directory: normalizeBundleDirectory(directory),
+      guides: guides.map((guide) => guide.id),
+    })),
+    files: files.map((file) => ({ path: file.path, sources: file.sources })),
+    conflicts,
+  };
+
+  return { files, conflicts, manifest };
+}
@@ -0,0 +1,163 @@
+// Section-aligned comparison of rules from different stacks, for the site's
+// "Compare across stacks" view: each rule is split at its `##` headings,
+// sections with the same heading are lined up, and every rule's version of
+// a section is diffed against the first rule's.
+
+import { diffLines } from "./diff.js";
+import { buildMdcContent, markdownSections } from "./mdc.js";
+
+const SECTION_LEVEL = 2;
+
+/**
+ * Guides of other stacks worth comparing with `guide` of `stackId`, as
+ * `{stack, guide, match}`: those with the same file name ("file") first, then
+ * those sharing one of its topic tags ("topic"), each in stack order.
+ */
+export function comparableGuides(stacks, stackId, guide) {
+  const others = stacks
+    .filter((stack) => stack.id !== stackId)
+    .flatMap((stack) => stack.guides.map((other) => ({ stack, guide: other })));
+  const tags = guide.tags || [];
+  return [
+    ...others
+      .filter((entry) => entry.guide.id === guide.id)
+      .map((entry) => ({ ...entry, match: "file" })),
+    ...others
+      .filter(
+        (entry) =>
+          entry.guide.id !== guide.id &&
+          (entry.guide.tags || []).some((tag) => tags.includes(tag))
+      )
+      .map((entry) => ({ ...entry, match: "topic" })),
+  ];
+}
+
+// Headings match when their words do: "## 1. Error Types" is "error types"
+function sectionKey(heading) {
+  return heading
+    .toLowerCase()
+    .replace(/^\d+[.)]\s*/, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * A rule body as `{key, heading, text}` sections: the title and whatever
+ * precedes the first `##` heading as "Introduction", then each `##` section
+ * up to the next one, its subsections included. Repeated headings get
+ * numbered keys so they line up in order.
+ */
+export function ruleSections(markdown) {
+  const lines = markdown.split("\n");
+  const starts = markdownSections(markdown)
+    .filter((section) => section.level === SECTION_LEVEL)
+    .map((section) => section.start);
+
+  const sections = [
+    {
+      key: "",
+      heading: "Introduction",
+      text: lines
+        .slice(0, starts.length > 0 ? starts[0] : lines.length)
+        .join("\n")
+        .trim(),
+    },
+  ];
+  // Headings with no words share the introduction's key
+  const seen = new Map([["", 1]]);
+  starts.forEach((start, index) => {
+    const heading = lines[start]
+      .replace(/^ {0,3}#{1,6}[ \t]*/, "")
+      .replace(/[ \t]+#+[ \t]*$/, "")
+      .trim();
+    const key = sectionKey(heading);
+    const count = (seen.get(key) || 0) + 1;
+    seen.set(key, count);
+    sections.push({
+      key: count === 1 ? key : `${key} ${count}`,
+      heading,
+      text: lines
+        .slice(start, starts[index + 1] ?? lines.length)
+        .join("\n")
+        .trim(),
+    });
+  });
+  return sections;
+}
+
+// A rule's frontmatter as it is written, without the `---` lines
+function frontmatterText(rule) {
+  return buildMdcContent({ ...rule, content: "" })
+    .replace(/^---\n/, "")
+    .replace(/\n?---\s*$/, "");
+}
+
+// Line up the sections of several rules by key: the first rule's order, with
+// sections the others add placed just before the next section they share
+// (or at the end)
+function alignSections(sectionLists) {
+  const rows = [];
+  const rowIndex = (key) => rows.findIndex((row) => row.key === key);
+
+  sectionLists.forEach((sections, ruleIndex) => {
+    let previous = -1;
+    sections.forEach((section, sectionIndex) => {
+      let index = rowIndex(section.key);
+      if (index === -1) {
+        const next = sections
+          .slice(sectionIndex + 1)
+          .map((later) => rowIndex(later.key))
+          .find((later) => later > previous);
+        index = next === undefined ? rows.length : next;
+        rows.splice(index, 0, {
+          key: section.key,
+          heading: section.heading,
+          texts: new Array(sectionLists.length).fill(null),
+        });
+      }
+      rows[index].texts[ruleIndex] = section.text;
+      previous = Math.max(previous, index);
+    });
+  });
+  return rows;
+}
+
+/**
+ * Compare `rules` (guides with `content` and `frontmatterRaw`), the first
+ * being the one the others are diffed against. Returns one row for the
+ * frontmatter, then one per aligned section, as `{key, heading, status,
+ * cells}`. A row's status is "same" (identical everywhere), "changed" or
+ * "partial" (missing from some rules); each cell is `{text, status,
+ * changes}`, text null when the rule has no such section. The first rule's
+ * cells have status "base" (or "missing"); the others "same", "changed"
+ * (with diffLines() `changes` from the first rule's text), "missing" or
+ * "added" (only in this rule, not the first).
+ */
+export function compareRules(rules) {
+  const rows = [
+    {
+      key: "frontmatter",
+      heading: "Frontmatter",
+      texts: rules.map(frontmatterText),
+    },
+    ...alignSections(rules.map((rule) => ruleSections(rule.content))),
+  ];
+
+  return rows.map(({ key, heading, texts }) => {
+    const [base] = texts;
+    const cells = texts.map((text, index) => {
+      if (text === null) return { text, status: "missing", changes: null };
+      if (index === 0) return { text, status: "base", changes: null };
+      if (base === null) return { text, status: "added", changes: null };
+      if (text === base) return { text, status: "same", changes: null };
+      return { text, status: "changed", changes: diffLines(base, text) };
+    });
+
+    let status = "same";
+    if (texts.includes(null)) status = "partial";
+    else if (cells.some((cell) => cell.status === "changed")) {
+      status = "changed";
+    }
+    return { key, heading, status, cells };
+  });
+}
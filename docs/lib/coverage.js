@@ -0,0 +1,105 @@
+// Which rules Cursor loads for which files: the engine behind the site's
+// "Which rules apply?" tester and `vibe-rules coverage`. Only rules that
+// load on their own count; description-only (agent-requested) and manual
+// rules are never attached to a file.
+
+import { ruleMode } from "./export.js";
+import { globMatcher, normalizePath } from "./glob.js";
+
+/**
+ * Attach `rules` to `filePaths` (project-relative). Rules are objects with
+ * a `guide`; anything else on them (the stack, say) is passed through. A
+ * rule from a nested rules directory (backend/.cursor/rules) has `root`
+ * set to that directory: it only applies below it, and its globs are
+ * relative to it.
+ *
+ * Returns `{files, rules}`:
+ * - files: `{path, always, globs}`, the rules always applied to the file and
+ *   the rules whose globs match it, sorted by path
+ * - rules: `{rule, mode, matches, loaded}`, with ruleMode(), the number of
+ *   files the rule is attached to and whether it is attached to any
+ *
+ * Paths that are blank once normalized are dropped, so `files` can be empty;
+ * callers report that as "no files" rather than as every file covered.
+ */
+export function ruleCoverage(filePaths, rules) {
+  const entries = rules.map((rule) => {
+    const mode = ruleMode(rule.guide);
+    const root = normalizePath(rule.root || "").replace(/\/$/, "");
+    return {
+      rule,
+      mode,
+      prefix: root ? `${root}/` : "",
+      matches: mode === "globs" ? globMatcher(rule.guide.globs) : null,
+      count: 0,
+    };
+  });
+
+  const paths = [...new Set(filePaths.map(normalizePath))]
+    .filter(Boolean)
+    .sort();
+
+  const files = paths.map((path) => {
+    const always = [];
+    const globs = [];
+
+    for (const entry of entries) {
+      if (!path.startsWith(entry.prefix)) continue;
+      if (entry.mode === "always") {
+        always.push(entry.rule);
+      } else if (
+        entry.matches &&
+        entry.matches(path.slice(entry.prefix.length))
+      ) {
+        globs.push(entry.rule);
+      } else {
+        continue;
+      }
+      entry.count++;
+    }
+
+    return { path, always, globs };
+  });
+
+  return {
+    files,
+    rules: entries.map(({ rule, mode, count }) => ({
+      rule,
+      mode,
+      matches: count,
+      loaded: count > 0,
+    })),
+  };
+}
+
+/**
+ * Roll ruleCoverage() files up by directory, cut to `depth` levels (at
+ * depth 1, "src/components/a.ts" counts towards "src"); files at the root
+ * count towards ".". Returns `{directory, files, globMatched, uncovered}`
+ * sorted by directory: uncovered files have no rule attached at all.
+ */
+export function coverageByDirectory(files, depth = Infinity) {
+  const directories = new Map();
+
+  for (const file of files) {
+    const segments = file.path.split("/").slice(0, -1).slice(0, depth);
+    const directory = segments.length > 0 ? segments.join("/") : ".";
+    const totals = directories.get(directory) || {
+      directory,
+      files: 0,
+      globMatched: 0,
+      uncovered: 0,
+    };
+
+    totals.files++;
+    if (file.globs.length > 0) totals.globMatched++;
+    if (file.globs.length === 0 && file.always.length === 0) {
+      totals.uncovered++;
+    }
+    directories.set(directory, totals);
+  }
+
+  return [...directories.values()].sort((a, b) =>
+    a.directory.localeCompare(b.directory)
+  );
+}
@@ -0,0 +1,105 @@
+// Line diffs between two versions of a rule, for the site's history view.
+
+/**
+ * The lines of `before` and `after` as a list of `{type, text}`, where type
+ * is "same", "removed" or "added", in order: a longest common subsequence
+ * of lines is kept and everything else is removed or added. Lines shared at
+ * the start and end are matched first, so small edits to long rules stay
+ * cheap.
+ */
+export function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const rows = endA - start;
+  const columns = endB - start;
+  // lengths[i * (columns + 1) + j]: LCS of a[start + i..] and b[start + j..]
+  const lengths = new Uint32Array((rows + 1) * (columns + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lengths[i * (columns + 1) + j] =
+        a[start + i] === b[start + j]
+          ? lengths[(i + 1) * (columns + 1) + j + 1] + 1
+          : Math.max(
+              lengths[(i + 1) * (columns + 1) + j],
+              lengths[i * (columns + 1) + j + 1]
+            );
+    }
+  }
+
+  const changes = a.slice(0, start).map((text) => ({ type: "same", text }));
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < columns) {
+    if (i < rows && j < columns && a[start + i] === b[start + j]) {
+      changes.push({ type: "same", text: a[start + i] });
+      i++;
+      j++;
+    } else if (
+      i < rows &&
+      (j === columns ||
+        lengths[(i + 1) * (columns + 1) + j] >=
+          lengths[i * (columns + 1) + j + 1])
+    ) {
+      // Removals first, as in a unified diff
+      changes.push({ type: "removed", text: a[start + i] });
+      i++;
+    } else {
+      changes.push({ type: "added", text: b[start + j] });
+      j++;
+    }
+  }
+  for (const text of a.slice(endA)) changes.push({ type: "same", text });
+
+  return changes;
+}
+
+/**
+ * Group diffLines() output into hunks of changed lines with `context`
+ * unchanged lines around them; unchanged runs between hunks are left out.
+ * Each hunk is `{beforeLine, afterLine, lines}` with 1-based line numbers
+ * of its first line in each version.
+ */
+export function diffHunks(changes, context = 3) {
+  const shown = new Array(changes.length).fill(false);
+  changes.forEach((change, index) => {
+    if (change.type === "same") return;
+    const last = Math.min(changes.length - 1, index + context);
+    for (let near = Math.max(0, index - context); near <= last; near++) {
+      shown[near] = true;
+    }
+  });
+
+  const hunks = [];
+  let hunk = null;
+  let beforeLine = 1;
+  let afterLine = 1;
+
+  changes.forEach((change, index) => {
+    if (!shown[index]) {
+      hunk = null;
+    } else {
+      if (!hunk) {
+        hunk = { beforeLine, afterLine, lines: [] };
+        hunks.push(hunk);
+      }
+      hunk.lines.push(change);
+    }
+
+    if (change.type !== "added") beforeLine++;
+    if (change.type !== "removed") afterLine++;
+  });
+
+  return hunks;
+}
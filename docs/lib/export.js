@@ -0,0 +1,297 @@
+// Export rules for AI assistants other than Cursor, for the site's ZIP
+// downloads, which build the files in the browser. The rule text is tool-agnostic; what differs per tool is how
+// Cursor's rule types map onto it:
+//
+//   always       alwaysApply: true
+//   globs        attached when a file matching `globs` is in context
+//   description  the agent decides from the description
+//   manual       only when @-mentioned
+//
+// Wherever a target cannot express a rule type, the export falls back to
+// the closest thing it has and returns a note saying so.
+
+import { expandBraces } from "./glob.js";
+import { buildMdcContent, mdcFileName } from "./mdc.js";
+
+export const EXPORT_TARGETS = [
+  {
+    id: "cursor",
+    name: "Cursor",
+    description: "One .mdc file per rule in .cursor/rules",
+  },
+  {
+    id: "agents-md",
+    name: "AGENTS.md",
+    description: "All rules in a single AGENTS.md",
+  },
+  {
+    id: "claude-md",
+    name: "Claude Code",
+    description: "All rules in a single CLAUDE.md",
+  },
+  {
+    id: "copilot",
+    name: "GitHub Copilot",
+    description:
+      ".github/copilot-instructions.md plus .github/instructions/*.instructions.md",
+  },
+  {
+    id: "windsurf",
+    name: "Windsurf",
+    description: "One rule file per rule in .windsurf/rules",
+  },
+];
+
+// Windsurf ignores everything past this many characters of a rule file
+const WINDSURF_RULE_LIMIT = 6000;
+
+// Order the single-file exports list rules in: broadest scope first
+const MODE_ORDER = ["always", "globs", "description", "manual"];
+
+/** How Cursor loads a guide: "always", "globs", "description" or "manual". */
+export function ruleMode(guide) {
+  if (guide.alwaysApply) return "always";
+  if (guide.globs && guide.globs.length > 0) return "globs";
+  if (guide.frontmatter.description) return "description";
+  return "manual";
+}
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const HEADING_PATTERN = /^( {0,3})(#{1,6})(?=\s|$)/;
+
+// Push every ATX heading one level down (h6 stays h6), so a rule's own "#"
+// title nests under the heading of the file it is merged into. Lines inside
+// fenced code blocks are left alone; setext headings are not rewritten.
+export function demoteHeadings(markdown) {
+  let fence = null;
+
+  return markdown
+    .split("\n")
+    .map((line) => {
+      const fenceMatch = line.match(FENCE_PATTERN);
+      if (fence) {
+        if (
+          fenceMatch &&
+          fenceMatch[1][0] === fence[0] &&
+          fenceMatch[1].length >= fence.length &&
+          line.trim() === fenceMatch[1]
+        ) {
+          fence = null;
+        }
+        return line;
+      }
+      if (fenceMatch) {
+        fence = fenceMatch[1];
+        return line;
+      }
+
+      return line.replace(
+        HEADING_PATTERN,
+        (match, indent, hashes) =>
+          `${indent}${hashes.length < 6 ? `${hashes}#` : hashes}`
+      );
+    })
+    .join("\n");
+}
+
+const inlineCodeList = (globs) => globs.map((glob) => `\`${glob}\``).join(", ");
+
+// A rule as a section of a merged markdown file. Scope the target cannot
+// enforce is stated in prose so the assistant can still follow it.
+function mergedSection(guide, mode) {
+  const body = demoteHeadings(guide.content.trim());
+  const scope = {
+    always: "",
+    globs: `> Applies to files matching ${inlineCodeList(
+      guide.globs
+    )}. Follow this section only when working on those files.`,
+    description: `> When to use: ${guide.frontmatter.description}`,
+    manual: "> Follow this section only when explicitly asked to.",
+  }[mode];
+
+  if (!scope) return body;
+
+  // Keep the rule's title first, then its scope
+  const [firstLine, ...rest] = body.split("\n");
+  return /^#{1,6}\s/.test(firstLine)
+    ? [firstLine, "", scope, ...rest].join("\n")
+    : [scope, "", body].join("\n");
+}
+
+const sortByMode = (guides) =>
+  [...guides].sort(
+    (a, b) => MODE_ORDER.indexOf(ruleMode(a)) - MODE_ORDER.indexOf(ruleMode(b))
+  );
+
+// One markdown file holding every rule, for tools that read a single file
+// of project instructions and have no notion of per-file or on-demand rules
+function singleFileExport(fileName, toolName, stack, guides) {
+  const notes = [];
+  const sections = sortByMode(guides).map((guide) => {
+    const mode = ruleMode(guide);
+
+    if (mode === "globs") {
+      notes.push({
+        guideId: guide.id,
+        message: `${toolName} cannot attach instructions to matching files; "${guide.title}" is always loaded and its globs are stated in the text`,
+      });
+    } else if (mode === "description") {
+      notes.push({
+        guideId: guide.id,
+        message: `${toolName} cannot load instructions on demand; "${guide.title}" is always loaded with its description as a "When to use" line`,
+      });
+    } else if (mode === "manual") {
+      notes.push({
+        guideId: guide.id,
+        message: `${toolName} has no manual rules; "${guide.title}" is always loaded with an instruction to follow it only when asked`,
+      });
+    }
+
+    return mergedSection(guide, mode);
+  });
+
+  const content = [
+    `# ${stack.name} Rules`,
+    `${stack.summary}. Focus: ${stack.focus}.`,
+    ...sections,
+  ].join("\n\n");
+
+  return { files: [{ path: fileName, content: `${content}\n` }], notes };
+}
+
+// YAML scalar that is safe for any text (globs start with "*", an alias)
+export const yamlString = (text) => JSON.stringify(text);
+
+function cursorExport(stack, guides) {
+  return {
+    files: guides.map((guide) => ({
+      path: `.cursor/rules/${mdcFileName(guide)}`,
+      content: buildMdcContent(guide),
+    })),
+    notes: [],
+  };
+}
+
+// Copilot reads .github/copilot-instructions.md for every request and
+// .github/instructions/*.instructions.md whose `applyTo` matches the files
+// in context. Instructions without `applyTo` are only used when attached.
+function copilotExport(stack, guides) {
+  const files = [];
+  const notes = [];
+  const alwaysGuides = guides.filter((guide) => ruleMode(guide) === "always");
+
+  if (alwaysGuides.length > 0) {
+    files.push({
+      path: ".github/copilot-instructions.md",
+      content: `${[
+        `# ${stack.name} Rules`,
+        ...alwaysGuides.map((guide) => mergedSection(guide, "always")),
+      ].join("\n\n")}\n`,
+    });
+  }
+
+  for (const guide of guides) {
+    const mode = ruleMode(guide);
+    if (mode === "always") continue;
+
+    const frontmatter = [];
+    if (guide.frontmatter.description) {
+      frontmatter.push(
+        `description: ${yamlString(guide.frontmatter.description)}`
+      );
+    }
+    if (mode === "globs") {
+      // `applyTo` is a comma-separated list, so `{a,b}` groups are expanded
+      frontmatter.push(
+        `applyTo: ${yamlString(guide.globs.flatMap(expandBraces).join(","))}`
+      );
+    }
+
+    if (mode === "description") {
+      notes.push({
+        guideId: guide.id,
+        message: `Copilot cannot pick instructions by description; "${guide.title}" has no \`applyTo\` and is only used when attached to a chat`,
+      });
+    }
+
+    const header =
+      frontmatter.length > 0 ? `---\n${frontmatter.join("\n")}\n---\n\n` : "";
+    files.push({
+      path: `.github/instructions/${guide.id}.instructions.md`,
+      content: `${header}${guide.content.trim()}\n`,
+    });
+  }
+
+  return { files, notes };
+}
+
+// Windsurf rules carry a `trigger` that maps one-to-one onto Cursor's rule
+// types, but each file is cut off after WINDSURF_RULE_LIMIT characters
+function windsurfExport(stack, guides) {
+  const notes = [];
+  const files = guides.map((guide) => {
+    const mode = ruleMode(guide);
+    const frontmatter = [
+      `trigger: ${
+        {
+          always: "always_on",
+          globs: "glob",
+          description: "model_decision",
+          manual: "manual",
+        }[mode]
+      }`,
+    ];
+    if (guide.frontmatter.description) {
+      frontmatter.push(
+        `description: ${yamlString(guide.frontmatter.description)}`
+      );
+    }
+    if (mode === "globs") {
+      frontmatter.push(
+        `globs: ${yamlString(guide.globs.flatMap(expandBraces).join(","))}`
+      );
+    }
+
+    const content = `---\n${frontmatter.join(
+      "\n"
+    )}\n---\n\n${guide.content.trim()}\n`;
+
+    if (content.length > WINDSURF_RULE_LIMIT) {
+      notes.push({
+        guideId: guide.id,
+        message: `Windsurf reads only the first ${WINDSURF_RULE_LIMIT} characters of a rule; "${guide.title}" has ${content.length}, so the rest is ignored`,
+      });
+    }
+
+    return { path: `.windsurf/rules/${guide.id}.md`, content };
+  });
+
+  return { files, notes };
+}
+
+const EXPORTERS = {
+  cursor: cursorExport,
+  "agents-md": (stack, guides) =>
+    singleFileExport("AGENTS.md", "AGENTS.md", stack, guides),
+  "claude-md": (stack, guides) =>
+    singleFileExport("CLAUDE.md", "Claude Code", stack, guides),
+  copilot: copilotExport,
+  windsurf: windsurfExport,
+};
+
+/**
+ * Files (`{path, content}`, paths relative to the project root) that install
+ * `guides` of `stack` for one of EXPORT_TARGETS, plus `{guideId, message}`
+ * notes for every rule the target cannot express exactly.
+ */
+export function exportRules(targetId, stack, guides = stack.guides) {
+  const exporter = EXPORTERS[targetId];
+  if (!exporter) {
+    throw new Error(
+      `Unknown export target "${targetId}". Available: ${EXPORT_TARGETS.map(
+        (target) => target.id
+      ).join(", ")}`
+    );
+  }
+  return exporter(stack, guides);
+}
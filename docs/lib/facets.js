@@ -0,0 +1,95 @@
+// Faceted filtering of rules across stacks: each rule has values for a few
+// facets (its stack, its topic tags, how Cursor applies it and the file
+// extensions its globs target), and a selection keeps the rules that have one
+// of the selected values of every facet something is selected in.
+
+import { ruleMode } from "./export.js";
+import { expandBraces } from "./glob.js";
+
+export const FACETS = [
+  { id: "stack", label: "Stack" },
+  { id: "topic", label: "Topic" },
+  { id: "mode", label: "Apply Mode" },
+  { id: "extension", label: "File Type" },
+];
+
+// ruleMode() ids, in the order and with the names of Cursor's rule types
+export const APPLY_MODES = [
+  { id: "always", label: "Always Apply" },
+  { id: "globs", label: "Apply to Specific Files" },
+  { id: "description", label: "Apply Intelligently" },
+  { id: "manual", label: "Apply Manually" },
+];
+
+// The extension of a glob's last segment: "**/*.t.sol" -> "sol",
+// "**/platformio.ini" -> "ini"; none for directories, dotfiles and
+// wildcard extensions ("**/src/**", "**/.env*", "**/next.config.*")
+const EXTENSION_PATTERN = /^[^.]+(?:\.[^/]*)?\.([a-z0-9]+)$/i;
+
+/** File extensions `globs` target, lowercased and sorted, without the dot. */
+export function globExtensions(globs) {
+  const extensions = new Set();
+  for (const glob of globs) {
+    for (const pattern of expandBraces(glob)) {
+      const match = pattern.split("/").pop().match(EXTENSION_PATTERN);
+      if (match) extensions.add(match[1].toLowerCase());
+    }
+  }
+  return [...extensions].sort();
+}
+
+/**
+ * Every guide of `stacks` as `{stack, guide, values}`, `values` holding the
+ * guide's values of each facet. Always-apply rules keep the extensions of
+ * their globs, though Cursor ignores them, so "always-apply rules for .py"
+ * finds the rules written for Python files.
+ */
+export function ruleEntries(stacks) {
+  return stacks.flatMap((stack) =>
+    stack.guides.map((guide) => ({
+      stack,
+      guide,
+      values: {
+        stack: [stack.id],
+        topic: guide.tags || [],
+        mode: [ruleMode(guide)],
+        extension: globExtensions(guide.globs || []),
+      },
+    }))
+  );
+}
+
+// Whether `entry` passes the selection of every facet but `exceptFacet`;
+// `selection` maps facet ids to Sets of values, empty or missing for none
+function matches(entry, selection, exceptFacet) {
+  return FACETS.every(({ id }) => {
+    const selected = selection[id];
+    if (id === exceptFacet || !selected || selected.size === 0) return true;
+    return entry.values[id].some((value) => selected.has(value));
+  });
+}
+
+/** The entries `selection` keeps, in their order. */
+export function filterEntries(entries, selection) {
+  return entries.filter((entry) => matches(entry, selection));
+}
+
+/**
+ * For each facet id, a Map from each value to the number of entries that
+ * would be shown with that value selected: entries that have it and pass the
+ * other facets' selections. A facet's own selection is left out, so picking
+ * one of its values does not zero the others.
+ */
+export function facetCounts(entries, selection) {
+  const counts = {};
+  for (const { id } of FACETS) {
+    counts[id] = new Map();
+    for (const entry of entries) {
+      if (!matches(entry, selection, id)) continue;
+      for (const value of entry.values[id]) {
+        counts[id].set(value, (counts[id].get(value) || 0) + 1);
+      }
+    }
+  }
+  return counts;
+}
@@ -0,0 +1,214 @@
+// Glob helpers shared by the build, the linter and the site.
+
+/**
+ * Describe what is wrong with a glob pattern, or return null when it is
+ * valid. Cursor matches `globs` with gitignore-style patterns (`**`, `*`,
+ * `?`, `[...]` and `{a,b}`), so unbalanced groups never match anything.
+ */
+export function globSyntaxError(pattern) {
+  if (typeof pattern !== "string" || pattern.trim() === "") {
+    return "empty pattern";
+  }
+
+  if (pattern !== pattern.trim()) {
+    return "leading or trailing whitespace";
+  }
+
+  if (/\*{3,}/.test(pattern)) {
+    return "`***` is not a valid wildcard, use `**`";
+  }
+
+  let braceDepth = 0;
+  let inBrackets = false;
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+
+    if (char === "\\") {
+      if (index === pattern.length - 1) return "trailing escape character";
+      index++;
+      continue;
+    }
+
+    if (inBrackets) {
+      if (char === "]") inBrackets = false;
+      continue;
+    }
+
+    if (char === "[") {
+      inBrackets = true;
+      // `[]...]` and `[!]...]` treat the first `]` as a literal
+      if (pattern[index + 1] === "!" || pattern[index + 1] === "^") index++;
+      if (pattern[index + 1] === "]") index++;
+    } else if (char === "{") {
+      braceDepth++;
+    } else if (char === "}") {
+      if (braceDepth === 0) return "unmatched `}`";
+      braceDepth--;
+    }
+  }
+
+  if (inBrackets) return "unclosed `[` character class";
+  if (braceDepth > 0) return "unclosed `{` group";
+
+  return null;
+}
+
+/**
+ * Expand `{a,b}` groups into separate patterns, for tools that take a
+ * comma-separated list of globs: "src/*.{ts,tsx}" -> ["src/*.ts",
+ * "src/*.tsx"]. Nested groups are expanded too; escaped braces and
+ * character classes are kept as they are.
+ */
+export function expandBraces(pattern) {
+  let groupStart = -1;
+  let depth = 0;
+  const commas = [];
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+
+    if (char === "\\") {
+      index++;
+    } else if (char === "[" && depth === 0 && groupStart === -1) {
+      // Skip over a character class, including a leading literal `]`
+      let end = index + 1;
+      if (pattern[end] === "!" || pattern[end] === "^") end++;
+      if (pattern[end] === "]") end++;
+      end = pattern.indexOf("]", end);
+      if (end === -1) break;
+      index = end;
+    } else if (char === "{") {
+      if (depth === 0) groupStart = index;
+      depth++;
+    } else if (char === "," && depth === 1) {
+      commas.push(index);
+    } else if (char === "}" && depth > 0) {
+      depth--;
+      if (depth > 0) continue;
+
+      // A group without commas ("{a}") is literal text in gitignore globs
+      if (commas.length === 0) {
+        groupStart = -1;
+        continue;
+      }
+
+      const prefix = pattern.slice(0, groupStart);
+      const suffix = pattern.slice(index + 1);
+      const bounds = [groupStart, ...commas, index];
+      return bounds
+        .slice(1)
+        .flatMap((end, position) =>
+          expandBraces(
+            prefix + pattern.slice(bounds[position] + 1, end) + suffix
+          )
+        );
+    }
+  }
+
+  return [pattern];
+}
+
+const REGEXP_SPECIAL = /[.*+?^${}()|[\]\\/]/g;
+
+// Translate one brace-free pattern into a regular expression source
+function globSource(pattern) {
+  // A trailing "/" only matches directories, so files inside them
+  const directoryOnly = pattern.endsWith("/");
+  let body = directoryOnly ? pattern.slice(0, -1) : pattern;
+
+  // A "/" at the start or in the middle anchors the pattern at the root;
+  // otherwise it matches at any depth, like "*.ts" or "node_modules"
+  const anchored = body.includes("/");
+  if (body.startsWith("/")) body = body.slice(1);
+
+  let source = "";
+  for (let index = 0; index < body.length; index++) {
+    const char = body[index];
+
+    if (char === "\\") {
+      index++;
+      source += (body[index] || "\\").replace(REGEXP_SPECIAL, "\\$&");
+    } else if (char === "*" && body[index + 1] === "*") {
+      const wholeSegment =
+        (index === 0 || body[index - 1] === "/") &&
+        (index + 2 === body.length || body[index + 2] === "/");
+      if (!wholeSegment) {
+        // "a**b" is just "a*b"
+        source += "[^/]*";
+        index++;
+      } else if (index + 2 === body.length) {
+        source += ".*";
+        index++;
+      } else {
+        // "**/" matches zero or more directories
+        source += "(?:[^/]*/)*";
+        index += 2;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      let end = index + 1;
+      const negated = body[end] === "!" || body[end] === "^";
+      if (negated) end++;
+      if (body[end] === "]") end++;
+      end = body.indexOf("]", end);
+      if (end === -1) {
+        source += "\\[";
+        continue;
+      }
+      const members = body
+        .slice(index + 1 + (negated ? 1 : 0), end)
+        .replace(/[\\\]^[]/g, "\\$&");
+      source += negated ? `[^/${members}]` : `[${members}]`;
+      index = end;
+    } else {
+      source += char.replace(REGEXP_SPECIAL, "\\$&");
+    }
+  }
+
+  return `${anchored ? "" : "(?:[^/]*/)*"}${source}${
+    directoryOnly ? "/.+" : "(?:/.+)?"
+  }`;
+}
+
+/**
+ * Compile a glob into a RegExp testing project-relative paths ("src/a.ts",
+ * "/" separators, no leading "./"), with the gitignore-style semantics
+ * Cursor applies to `globs`: patterns without a "/" match at any depth, a
+ * pattern that matches a directory matches everything inside it, and
+ * `{a,b}` groups are alternatives. Check globSyntaxError() first; a broken
+ * pattern compiles to something that matches nothing useful.
+ */
+export function compileGlob(pattern) {
+  return new RegExp(
+    `^(?:${expandBraces(pattern.trim()).map(globSource).join("|")})$`
+  );
+}
+
+// "./src\\a.ts" -> "src/a.ts"
+export function normalizePath(filePath) {
+  return filePath
+    .trim()
+    .replace(/\\/g, "/")
+    .replace(/\/{2,}/g, "/")
+    .replace(/^(\.\/)+/, "")
+    .replace(/^\//, "");
+}
+
+/**
+ * A function telling whether any of `patterns` matches a project-relative
+ * path. Compiles the patterns once, for testing many paths.
+ */
+export function globMatcher(patterns) {
+  const expressions = patterns.map(compileGlob);
+  return (filePath) => {
+    const normalized = normalizePath(filePath);
+    return expressions.some((expression) => expression.test(normalized));
+  };
+}
+
+export const matchesGlobs = (filePath, patterns) =>
+  globMatcher(patterns)(filePath);
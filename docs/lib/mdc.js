@@ -0,0 +1,103 @@
+// Shared between the site (app.js) and the Node scripts, so a rule copied
+// from the browser and one installed by the CLI are the same file.
+
+// Build the full .mdc content with frontmatter. The build keeps each rule's
+// original frontmatter text, so exports are byte-identical to the source file;
+// the rebuilt frontmatter below is only a fallback for guides without it.
+export function buildMdcContent(guide) {
+  if (typeof guide.frontmatterRaw === "string") {
+    return guide.frontmatterRaw + guide.content;
+  }
+
+  let content = "---\n";
+
+  if (guide.frontmatter.description) {
+    content += `description: "${guide.frontmatter.description}"\n`;
+  }
+
+  if (guide.globs && guide.globs.length > 0) {
+    content += "globs:\n";
+    guide.globs.forEach((glob) => {
+      content += `  - "${glob}"\n`;
+    });
+  }
+
+  content += `alwaysApply: ${guide.alwaysApply}\n`;
+  content += "---\n\n";
+  content += guide.content;
+
+  return content;
+}
+
+// File name a guide is saved under, always ending in .mdc
+export function mdcFileName(guide) {
+  let filename = guide.fileName || guide.id;
+  if (!filename.endsWith(".mdc")) {
+    filename = filename + ".mdc";
+  }
+  return filename;
+}
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const ATX_HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]|$)/;
+const SETEXT_UNDERLINE_PATTERN = /^ {0,3}(=+|-+)[ \t]*$/;
+// Lines that cannot be the text of a setext heading ("- item" then "---"
+// is a list and a rule, not a heading)
+const NON_PARAGRAPH_PATTERN = /^ {0,3}([-*+>|]|\d+[.)])|^ {4}|^\t|^\s*$/;
+
+/**
+ * The headings of a markdown body, in order, as `{ level, start, end }`
+ * line numbers (0-based, `end` exclusive): a section runs from its heading
+ * to the next heading of the same or a higher level, so it includes its
+ * subsections. Lines in fenced code blocks are not headings.
+ */
+export function markdownSections(markdown) {
+  const lines = markdown.split("\n");
+  const headings = [];
+  let fence = null;
+  let paragraphStart = -1;
+
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fence) {
+      if (
+        fenceMatch &&
+        fenceMatch[1][0] === fence[0] &&
+        fenceMatch[1].length >= fence.length &&
+        !line.trim().slice(fenceMatch[1].length).trim()
+      ) {
+        fence = null;
+      }
+      return;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      paragraphStart = -1;
+      return;
+    }
+
+    const atx = line.match(ATX_HEADING_PATTERN);
+    const setext = line.match(SETEXT_UNDERLINE_PATTERN);
+    if (atx) {
+      headings.push({ level: atx[1].length, start: index });
+      paragraphStart = -1;
+    } else if (setext && paragraphStart !== -1) {
+      headings.push({
+        level: setext[1][0] === "=" ? 1 : 2,
+        start: paragraphStart,
+      });
+      paragraphStart = -1;
+    } else if (NON_PARAGRAPH_PATTERN.test(line)) {
+      paragraphStart = -1;
+    } else if (paragraphStart === -1) {
+      paragraphStart = index;
+    }
+  });
+
+  return headings.map((heading, index) => {
+    const next = headings
+      .slice(index + 1)
+      .find((other) => other.level <= heading.level);
+    return { ...heading, end: next ? next.start : lines.length };
+  });
+}
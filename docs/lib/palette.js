@@ -0,0 +1,95 @@
+// Fuzzy matching for the site's command palette (Ctrl/Cmd+K): the letters
+// of a query in order, not necessarily next to each other, so "tsreact"
+// finds "Typescript-React + Nextjs" and "py err" finds "Python › Errors".
+
+import { escapeHtml } from "./views.js";
+
+// Points per matched character; runs and word starts are what people type
+const MATCH_SCORE = 1;
+const RUN_BONUS = 4;
+const WORD_START_BONUS = 3;
+const PREFIX_BONUS = 6;
+// Per skipped character, so tighter matches win
+const GAP_PENALTY = 0.1;
+
+// After a separator or at a lowercase-to-uppercase step ("ReentrancyGuard")
+function isWordStart(text, index) {
+  if (index === 0) return true;
+  const previous = text[index - 1];
+  return (
+    !/[\p{L}\p{N}]/u.test(previous) ||
+    (/\p{Ll}/u.test(previous) && /\p{Lu}/u.test(text[index]))
+  );
+}
+
+/**
+ * Match `query` against `text`, ignoring case and the query's spaces.
+ * Returns `{ score, positions }` (the matched indexes in `text`), or null
+ * when some query character is missing. Each character takes the next one
+ * that continues a run, else the next word start, else the next occurrence.
+ */
+export function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, "");
+  const haystack = text.toLowerCase();
+  const positions = [];
+  if (!needle) return { score: 0, positions };
+
+  let score = haystack.startsWith(needle) ? PREFIX_BONUS : 0;
+  let from = 0;
+  for (const char of needle) {
+    let index = -1;
+    if (positions.length > 0 && haystack[from] === char) {
+      index = from;
+      score += RUN_BONUS;
+    } else {
+      for (let i = haystack.indexOf(char, from); i !== -1; ) {
+        if (isWordStart(text, i)) {
+          index = i;
+          score += WORD_START_BONUS;
+          break;
+        }
+        i = haystack.indexOf(char, i + 1);
+      }
+      if (index === -1) index = haystack.indexOf(char, from);
+      if (index === -1) return null;
+      score -= (index - from) * GAP_PENALTY;
+    }
+    score += MATCH_SCORE;
+    positions.push(index);
+    from = index + 1;
+  }
+
+  return { score, positions };
+}
+
+/**
+ * The `limit` best of `commands` (objects with a `text` to match) for
+ * `query`, as `{ command, positions }`, best first; ties keep their order.
+ * An empty query returns the first commands unranked.
+ */
+export function rankCommands(commands, query, limit) {
+  const ranked = [];
+  commands.forEach((command, order) => {
+    const match = fuzzyMatch(query, command.text);
+    if (match) ranked.push({ command, order, ...match });
+  });
+  ranked.sort((a, b) => b.score - a.score || a.order - b.order);
+  return ranked
+    .slice(0, limit)
+    .map(({ command, positions }) => ({ command, positions }));
+}
+
+// `text` as HTML with the matched characters in <mark>
+export function highlightMatch(text, positions) {
+  const matched = new Set(positions);
+  let html = "";
+  let inMark = false;
+  for (let index = 0; index < text.length; index++) {
+    if (matched.has(index) !== inMark) {
+      html += inMark ? "</mark>" : "<mark>";
+      inMark = !inMark;
+    }
+    html += escapeHtml(text[index]);
+  }
+  return inMark ? `${html}</mark>` : html;
+}
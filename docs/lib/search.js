@@ -0,0 +1,200 @@
+// Full-text search over docs/data/search-index.json. The build uses
+// `tokenize` to write the index, the site uses the rest to query it, so
+// both sides always agree on what a term is.
+
+const STOP_WORDS = new Set(
+  `a an and are as at be but by can do does for from has have how if in into
+  is it its not of on or our so than that the their them then there these
+  they this to use used was we what when where which while who why will with
+  you your`.split(/\s+/)
+);
+
+const MIN_PREFIX_LENGTH = 2;
+
+// Characters of a section the index keeps to show with a result
+export const SNIPPET_LENGTH = 120;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Crude suffix stripping so "retry", "retries" and "retrying" or "handle",
+ * "handler" and "handling" land on one term. It only has to be consistent
+ * between the index and the query, not linguistically correct.
+ */
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  if (word.endsWith("ies")) word = word.slice(0, -3) + "y";
+  else if (word.endsWith("sses")) word = word.slice(0, -2);
+  else if (/[^su]s$/.test(word) && !word.endsWith("ss"))
+    word = word.slice(0, -1);
+
+  if (word.length > 5 && word.endsWith("ing")) word = word.slice(0, -3);
+  else if (word.length > 4 && word.endsWith("ed")) word = word.slice(0, -2);
+  else if (word.length > 5 && word.endsWith("er")) word = word.slice(0, -2);
+
+  if (word.length > 3 && /[^aeiou]y$/.test(word))
+    return word.slice(0, -1) + "i";
+  if (word.length > 4 && word.endsWith("e")) return word.slice(0, -1);
+  return word;
+}
+
+const words = (text) =>
+  (String(text).toLowerCase().match(WORD_PATTERN) || []).filter(
+    (word) => word.length > 1 && !STOP_WORDS.has(word)
+  );
+
+// "ReentrancyGuard" -> ["Reentrancy", "Guard"], "HTTPClient" -> ["HTTP", "Client"]
+const camelCaseParts = (word) =>
+  word.split(/(?<=[\p{Ll}\p{N}])(?=\p{Lu})|(?<=\p{Lu})(?=\p{Lu}\p{Ll})/u);
+
+/**
+ * Stemmed, lowercase words and numbers of a text, without stop words.
+ * camelCase identifiers also yield their parts, so "guard" finds
+ * `ReentrancyGuard`.
+ */
+export function tokenize(text) {
+  return (String(text).match(WORD_PATTERN) || []).flatMap((word) => {
+    const parts = camelCaseParts(word);
+    return words(parts.length > 1 ? [word, ...parts].join(" ") : word).map(
+      stem
+    );
+  });
+}
+
+// Index terms a query word matches: its stem, or every term starting with
+// the stem or the word as typed ("reentrancy" finds "reentrancyguard")
+function matchTerms(index, word) {
+  const term = stem(word);
+  const matches = [];
+  if (index.terms[term]) matches.push([term, 1]);
+
+  if (word.length >= MIN_PREFIX_LENGTH) {
+    for (const candidate of Object.keys(index.terms)) {
+      if (
+        candidate !== term &&
+        (candidate.startsWith(term) || candidate.startsWith(word))
+      ) {
+        matches.push([candidate, 0.5]);
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Rank the sections that contain every query word (or a word starting with
+ * it). Scores add up each term's weight (heading and title hits weigh more
+ * than body text) scaled by how rare the term is.
+ */
+export function searchIndex(index, query, options = {}) {
+  const { stackId = "", guideId = "", limit = 30 } = options;
+  const queryWords = [...new Set(words(query))];
+  if (queryWords.length === 0) return [];
+
+  const sectionCount = index.sections.length;
+  let scores = null;
+  const matchedTerms = new Map();
+
+  for (const word of queryWords) {
+    const termScores = new Map();
+
+    for (const [term, factor] of matchTerms(index, word)) {
+      const postings = index.terms[term];
+      const idf = Math.log(1 + sectionCount / (postings.length / 2));
+
+      for (let offset = 0; offset < postings.length; offset += 2) {
+        const sectionIndex = postings[offset];
+        const score = postings[offset + 1] * idf * factor;
+        termScores.set(
+          sectionIndex,
+          Math.max(termScores.get(sectionIndex) || 0, score)
+        );
+
+        const terms = matchedTerms.get(sectionIndex) || new Set();
+        terms.add(term);
+        matchedTerms.set(sectionIndex, terms);
+      }
+    }
+
+    // Every query term must match
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      for (const [sectionIndex, score] of scores) {
+        if (termScores.has(sectionIndex)) {
+          scores.set(sectionIndex, score + termScores.get(sectionIndex));
+        } else {
+          scores.delete(sectionIndex);
+        }
+      }
+    }
+  }
+
+  return [...scores]
+    .map(([sectionIndex, score]) => {
+      const [stack, guide, sectionId, heading, snippet] =
+        index.sections[sectionIndex];
+      return {
+        stackId: stack,
+        guideId: guide,
+        sectionId,
+        heading,
+        snippet,
+        score,
+        terms: [...matchedTerms.get(sectionIndex)],
+      };
+    })
+    .filter(
+      (result) =>
+        (!stackId || result.stackId === stackId) &&
+        (!guideId || result.guideId === guideId)
+    )
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * HTML-escaped excerpt of `text` around the first word whose term is one of
+ * `terms` (as returned with a search result), with those words in <mark>.
+ */
+export function highlightSnippet(text, terms, length = SNIPPET_LENGTH) {
+  const termSet = new Set(terms);
+  const matches = [...text.matchAll(WORD_PATTERN)].filter((match) =>
+    termSet.has(stem(match[0].toLowerCase()))
+  );
+
+  const firstMatch = matches.length > 0 ? matches[0].index : 0;
+  const start = Math.max(0, firstMatch - Math.floor(length / 3));
+  const end = Math.min(text.length, start + length);
+
+  // Do not start or end in the middle of a word
+  let excerptStart = start;
+  let excerptEnd = end;
+  if (start > 0) excerptStart = text.indexOf(" ", start) + 1 || start;
+  if (end < text.length) excerptEnd = text.lastIndexOf(" ", end) || end;
+
+  let html = "";
+  let cursor = excerptStart;
+  for (const match of matches) {
+    const matchEnd = match.index + match[0].length;
+    if (match.index < excerptStart || matchEnd > excerptEnd) continue;
+    html += escapeHtml(text.slice(cursor, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = matchEnd;
+  }
+  html += escapeHtml(text.slice(cursor, excerptEnd));
+
+  return `${excerptStart > 0 ? "… " : ""}${html}${
+    excerptEnd < text.length ? " …" : ""
+  }`;
+}
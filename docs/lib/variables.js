@@ -0,0 +1,524 @@
+// Rule variables: choices a rule leaves to each project (package manager,
+// test runner, directory layout), declared in its frontmatter and filled in
+// before the rule is installed. Shared by the build, the linter and the site.
+//
+//   ---
+//   variables:
+//     packageManager:
+//       description: Package manager the project uses
+//       values: [npm, pnpm, yarn]
+//       default: npm
+//   ---
+//
+//   Run `{{packageManager}} test`.
+//   {{#if packageManager == "pnpm"}}
+//   Use `pnpm --filter <package>` to test one workspace package.
+//   {{/if}}
+//
+// Placeholders name a declared variable; any other `{{...}}` (JSX style
+// props, other template languages) is text. Conditions are `name`, `!name`,
+// `name == value` and `name != value`, with `{{else}}` optional; a tag on a
+// line of its own takes the line with it. Only the body is a template: the
+// rest of the frontmatter is YAML written as it is, and a value filled into
+// it could change what it means. The built rule is rendered with the
+// defaults and without `variables`, so Cursor never sees either.
+//
+// The site cannot render markdown, so the build also renders a rule's body
+// once for each combination of its conditions (templateVariants()), with
+// markers where the values go; the site picks the one for the values in
+// use (variantKey()) and fills them in (fillPlaceholders()).
+
+import { escapeHtml } from "./views.js";
+
+export const VARIABLE_TYPES = ["string", "number", "boolean"];
+const DECLARATION_KEYS = ["type", "description", "default", "values"];
+const NAME_PATTERN = /^[A-Za-z_]\w*$/;
+
+const TAG_PATTERN = /\{\{\s*(#if\s+([^}]*?)|else|\/if|([A-Za-z_]\w*))\s*\}\}/g;
+const CONDITION_PATTERN =
+  /^(?:(!)\s*([A-Za-z_]\w*)|([A-Za-z_]\w*)(?:\s*(==|!=)\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?)$/;
+// Every combination of a rule's conditions is rendered ahead, 2 ** this many
+export const MAX_CONDITIONS = 6;
+
+// A placeholder in pre-rendered HTML: the variable's index between two
+// markers, all private-use characters that neither markdown nor syntax
+// highlighting touch
+const MARKER_START = "\uE000";
+const MARKER_END = "\uE001";
+const MARKER_INDEX = 0xe100;
+const MARKER_PATTERN = /\uE000([\uE100-\uE1FF])\uE001/g;
+
+export class TemplateError extends Error {
+  constructor(message, line, filePath = "") {
+    super(`${filePath ? `${filePath}:` : "line "}${line} ${message}`);
+    this.name = "TemplateError";
+    this.reason = message;
+    this.line = line;
+    this.filePath = filePath;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Whether `value` is of `type`; strings are single lines, so they can be
+// filled into a line of text
+function hasType(value, type) {
+  if (type === "string") return typeof value === "string" && !/\n/.test(value);
+  if (type === "number") return Number.isFinite(value);
+  return typeof value === "boolean";
+}
+
+// Whether a frontmatter value uses the template syntax: a placeholder
+// naming one of `names`, or an {{#if}}, {{else}} or {{/if}} tag
+function usesTemplate(value, names) {
+  if (typeof value === "string") {
+    return [...value.matchAll(TAG_PATTERN)].some(
+      ([, , , name]) => !name || names.has(name)
+    );
+  }
+  const items = Array.isArray(value)
+    ? value
+    : isPlainObject(value)
+    ? Object.values(value)
+    : [];
+  return items.some((item) => usesTemplate(item, names));
+}
+
+/**
+ * Read the `variables` frontmatter value: `{variables, problems}`, where
+ * variables are `{name, type, description, default, values}` (type
+ * "string" unless given, values null unless the variable has a fixed set)
+ * and problems are `{path, message}` with the frontmatter key path of what
+ * is wrong. Variables with problems are left out. Keys of `frontmatter`
+ * that use the variables are problems too, as only the body is filled in.
+ */
+export function parseVariables(declared, frontmatter = {}) {
+  const variables = [];
+  const problems = [];
+  const problem = (path, message) => problems.push({ path, message });
+
+  if (declared === undefined || declared === null) {
+    return { variables, problems };
+  }
+  if (!isPlainObject(declared)) {
+    problem(
+      ["variables"],
+      "`variables` must map variable names to their declarations"
+    );
+    return { variables, problems };
+  }
+
+  for (const [name, declaration] of Object.entries(declared)) {
+    const path = ["variables", name];
+    const count = problems.length;
+
+    if (!NAME_PATTERN.test(name)) {
+      problem(
+        path,
+        `Variable name "${name}" must start with a letter or "_" and contain only letters, digits and "_"`
+      );
+    }
+    if (!isPlainObject(declaration)) {
+      problem(path, `Variable "${name}" must be a mapping with a \`default\``);
+      continue;
+    }
+    for (const key of Object.keys(declaration)) {
+      if (!DECLARATION_KEYS.includes(key)) {
+        problem(
+          [...path, key],
+          `Unknown key "${key}" in variable "${name}"; use ${DECLARATION_KEYS.join(
+            ", "
+          )}`
+        );
+      }
+    }
+
+    const type = declaration.type ?? "string";
+    if (!VARIABLE_TYPES.includes(type)) {
+      problem(
+        [...path, "type"],
+        `Variable "${name}" has type "${type}"; use ${VARIABLE_TYPES.join(
+          ", "
+        )}`
+      );
+    }
+    if (
+      declaration.description !== undefined &&
+      typeof declaration.description !== "string"
+    ) {
+      problem(
+        [...path, "description"],
+        `The description of variable "${name}" must be a string`
+      );
+    }
+
+    let values = null;
+    if (declaration.values !== undefined) {
+      values = declaration.values;
+      if (type === "boolean") {
+        problem(
+          [...path, "values"],
+          `Variable "${name}" is a boolean; it cannot list \`values\``
+        );
+      } else if (
+        !Array.isArray(values) ||
+        values.length === 0 ||
+        !values.every((value) => hasType(value, type))
+      ) {
+        problem(
+          [...path, "values"],
+          `The values of variable "${name}" must be a list of ${type}s`
+        );
+      }
+    }
+
+    if (!("default" in declaration)) {
+      problem(path, `Variable "${name}" needs a \`default\``);
+    } else if (VARIABLE_TYPES.includes(type)) {
+      if (!hasType(declaration.default, type)) {
+        problem(
+          [...path, "default"],
+          `The default of variable "${name}" must be a ${
+            type === "string" ? "single-line string" : type
+          }`
+        );
+      } else if (
+        Array.isArray(values) &&
+        !values.includes(declaration.default)
+      ) {
+        problem(
+          [...path, "default"],
+          `The default of variable "${name}" must be one of its values`
+        );
+      }
+    }
+
+    if (problems.length === count) {
+      variables.push({
+        name,
+        type,
+        description: declaration.description || "",
+        default: declaration.default,
+        values,
+      });
+    }
+  }
+
+  const names = new Set(Object.keys(declared));
+  for (const [key, value] of Object.entries(frontmatter)) {
+    if (key !== "variables" && usesTemplate(value, names)) {
+      problem(
+        [key],
+        `\`${key}\` uses a variable; variables are only filled into the rule's body`
+      );
+    }
+  }
+
+  return { variables, problems };
+}
+
+/**
+ * Check a value for `variable`, as typed or as text (from a form or a URL):
+ * `{value}` with the value converted to the variable's type, or `{problem}`.
+ */
+export function variableValue(variable, input) {
+  let value = input;
+  if (typeof input === "string" && variable.type === "number") {
+    value = input.trim() === "" ? NaN : Number(input);
+  } else if (typeof input === "string" && variable.type === "boolean") {
+    value = input === "true" ? true : input === "false" ? false : input;
+  }
+
+  if (!hasType(value, variable.type)) {
+    return {
+      problem: `${variable.name} must be a ${
+        variable.type === "string" ? "single-line string" : variable.type
+      }`,
+    };
+  }
+  if (variable.values && !variable.values.includes(value)) {
+    return {
+      problem: `${variable.name} must be one of ${variable.values.join(", ")}`,
+    };
+  }
+  return { value };
+}
+
+/**
+ * The value of every variable: the one in `values` (by name) when it is
+ * valid, else the default. Returns `{values, problems}`, with a message for
+ * each value that was not used.
+ */
+export function resolveValues(variables, values = {}) {
+  const resolved = {};
+  const problems = [];
+
+  for (const variable of variables) {
+    resolved[variable.name] = variable.default;
+    if (values[variable.name] === undefined) continue;
+
+    const { value, problem } = variableValue(variable, values[variable.name]);
+    if (problem) {
+      problems.push(`${problem}; using ${variable.default}`);
+    } else {
+      resolved[variable.name] = value;
+    }
+  }
+
+  return { values: resolved, problems };
+}
+
+function parseCondition(expression, names, line) {
+  const match = expression.trim().match(CONDITION_PATTERN);
+  if (!match) {
+    throw new TemplateError(
+      `Invalid condition "${expression}"; use name, !name, name == value or name != value`,
+      line
+    );
+  }
+
+  const [, not, negated, name, operator, ...literals] = match;
+  const variable = negated || name;
+  if (!names.has(variable)) {
+    throw new TemplateError(`Unknown variable "${variable}"`, line);
+  }
+  if (not) return { name: variable, test: "falsy" };
+  if (!operator) return { name: variable, test: "truthy" };
+  return {
+    name: variable,
+    test: operator,
+    literal: literals.find((literal) => literal !== undefined),
+  };
+}
+
+// The template as a tree: text, `{name}` placeholders and `{condition,
+// then, otherwise}` blocks
+function parseTemplate(text, names) {
+  const root = { nodes: [] };
+  const stack = [root];
+  let position = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const [, tag, expression, name] = match;
+    if (name && !names.has(name)) continue;
+
+    let start = match.index;
+    let end = start + match[0].length;
+    const line = text.slice(0, start).split("\n").length;
+
+    // Block tags alone on a line take the line with them
+    if (!name) {
+      const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+      const lineEnd = text.indexOf("\n", end);
+      const after = text.slice(end, lineEnd === -1 ? text.length : lineEnd);
+      if (
+        lineStart >= position &&
+        text.slice(lineStart, start).trim() === "" &&
+        after.trim() === ""
+      ) {
+        start = lineStart;
+        end = lineEnd === -1 ? text.length : lineEnd + 1;
+      }
+    }
+
+    const current = stack.at(-1);
+    if (start > position) current.nodes.push(text.slice(position, start));
+    position = end;
+
+    if (name) {
+      current.nodes.push({ name });
+    } else if (tag.startsWith("#if")) {
+      const block = {
+        condition: parseCondition(expression, names, line),
+        then: [],
+        otherwise: null,
+        line,
+      };
+      block.nodes = block.then;
+      current.nodes.push(block);
+      stack.push(block);
+    } else if (stack.length === 1) {
+      throw new TemplateError(`{{${tag}}} without {{#if}}`, line);
+    } else if (tag === "else") {
+      if (current.otherwise) {
+        throw new TemplateError("Second {{else}} in one {{#if}}", line);
+      }
+      current.otherwise = [];
+      current.nodes = current.otherwise;
+    } else {
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError("{{#if}} is never closed", stack.at(-1).line);
+  }
+  if (position < text.length) root.nodes.push(text.slice(position));
+
+  const conditions = templateConditions(root.nodes);
+  if (conditions.length > MAX_CONDITIONS) {
+    throw new TemplateError(
+      `More than ${MAX_CONDITIONS} different {{#if}} conditions; the site renders every combination of them ahead`,
+      conditions[MAX_CONDITIONS].line
+    );
+  }
+  return root.nodes;
+}
+
+const conditionId = ({ name, test, literal }) =>
+  JSON.stringify([name, test, literal]);
+
+// The different conditions of a parsed template's blocks, in order of first
+// use, each with the line of that use
+function templateConditions(nodes, conditions = new Map()) {
+  for (const node of nodes) {
+    if (typeof node === "string" || node.name) continue;
+    const id = conditionId(node.condition);
+    if (!conditions.has(id)) {
+      conditions.set(id, { ...node.condition, line: node.line });
+    }
+    templateConditions(node.then, conditions);
+    templateConditions(node.otherwise || [], conditions);
+  }
+  return [...conditions.values()];
+}
+
+function conditionHolds({ name, test, literal }, values) {
+  const value = values[name];
+  const truthy = value !== false && value !== "" && value !== 0;
+  if (test === "truthy") return truthy;
+  if (test === "falsy") return !truthy;
+  return (String(value) === literal) === (test === "==");
+}
+
+// `fill(name)` gives the text of a placeholder, `holds(condition)` the
+// branch a block takes
+function renderNodes(nodes, fill, holds) {
+  return nodes
+    .map((node) => {
+      if (typeof node === "string") return node;
+      if (node.name) return fill(node.name);
+      const branch = holds(node.condition) ? node.then : node.otherwise || [];
+      return renderNodes(branch, fill, holds);
+    })
+    .join("");
+}
+
+/**
+ * Fill `values` (see resolveValues()) into the template `text`. Throws
+ * TemplateError for an unbalanced block or a condition on an undeclared
+ * variable.
+ */
+export function renderTemplate(text, variables, values) {
+  const names = new Set(variables.map((variable) => variable.name));
+  return renderNodes(
+    parseTemplate(text, names),
+    (name) => String(values[name]),
+    (condition) => conditionHolds(condition, values)
+  );
+}
+
+/**
+ * Every text the template `text` renders to, whatever the values: `{key,
+ * text}` for each combination of its conditions holding or not, with
+ * markers for fillPlaceholders() where the values go. The build renders
+ * these for the site.
+ */
+export function templateVariants(text, variables) {
+  const names = new Set(variables.map((variable) => variable.name));
+  const nodes = parseTemplate(text, names);
+  const ids = templateConditions(nodes).map(conditionId);
+  const indexes = new Map(variables.map(({ name }, index) => [name, index]));
+  const marker = (name) =>
+    MARKER_START +
+    String.fromCharCode(MARKER_INDEX + indexes.get(name)) +
+    MARKER_END;
+
+  return Array.from({ length: 2 ** ids.length }, (_, combination) => {
+    const holds = ids.map((_, bit) => ((combination >> bit) & 1) === 1);
+    return {
+      key: holds.map((bit) => (bit ? "1" : "0")).join(""),
+      text: renderNodes(
+        nodes,
+        marker,
+        (condition) => holds[ids.indexOf(conditionId(condition))]
+      ),
+    };
+  });
+}
+
+/** The templateVariants() key of `text` rendered with `values`. */
+export function variantKey(text, variables, values) {
+  const names = new Set(variables.map((variable) => variable.name));
+  return templateConditions(parseTemplate(text, names))
+    .map((condition) => (conditionHolds(condition, values) ? "1" : "0"))
+    .join("");
+}
+
+/** A templateVariants() text rendered as `html`, with `values` filled in. */
+export function fillPlaceholders(html, variables, values) {
+  return html.replace(MARKER_PATTERN, (_, index) =>
+    escapeHtml(values[variables[index.charCodeAt(0) - MARKER_INDEX].name])
+  );
+}
+
+/**
+ * Placeholders in `text` that look like variables but are not declared,
+ * with their line numbers: `{name, line}`. Harmless (they stay as they are)
+ * but usually a typo.
+ */
+export function undeclaredPlaceholders(text, variables) {
+  const names = new Set(variables.map((variable) => variable.name));
+  return [...text.matchAll(TAG_PATTERN)]
+    .filter(([, , , name]) => name && !names.has(name))
+    .map((match) => ({
+      name: match[3],
+      line: text.slice(0, match.index).split("\n").length,
+    }));
+}
+
+// Lines that belong to the top-level key above them: indented ones (nested
+// keys, block scalars, flow values broken over lines) and sequence items,
+// which YAML also allows at the key's own indentation ("tags:\n- testing")
+const NESTED_LINE_PATTERN = /^(?:[ \t]|-(?:\s|$))/;
+
+// Frontmatter text without one top-level key and the lines nested under it
+export function removeFrontmatterKey(frontmatterRaw, key) {
+  const lines = frontmatterRaw.split("\n");
+  const start = lines.findIndex((line) =>
+    new RegExp(`^${key}\\s*:`).test(line)
+  );
+  if (start === -1) return frontmatterRaw;
+
+  // Blank lines and comments inside the value go with it; those after it
+  // stay with whatever follows
+  let end = start + 1;
+  for (let index = start + 1; index < lines.length; index++) {
+    const line = lines[index];
+    if (NESTED_LINE_PATTERN.test(line)) end = index + 1;
+    else if (line.trim() !== "" && !line.startsWith("#")) break;
+  }
+  lines.splice(start, end - start);
+  return lines.join("\n");
+}
+
+/**
+ * `guide` with its variables set to `values` (by name; defaults for the
+ * rest): the body rendered from `guide.template`, the frontmatter without
+ * `variables`. Guides without variables come back as they are.
+ */
+export function renderGuide(guide, values = {}) {
+  if (!guide.template) return guide;
+
+  const resolved = resolveValues(guide.variables, values).values;
+  const { frontmatter, frontmatterRaw, content, globs } = guide.template;
+
+  return {
+    ...guide,
+    frontmatter,
+    frontmatterRaw: removeFrontmatterKey(frontmatterRaw, "variables"),
+    content: renderTemplate(content, guide.variables, resolved),
+    globs,
+  };
+}
@@ -0,0 +1,173 @@
+// Markup shared by the site's modal (app.js) and the static pages the build
+// writes for every stack and guide, so both show a rule the same way.
+
+// Escape text that is interpolated into HTML
+export function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Token counts are estimates, so round them: 842 -> "~842", 53201 -> "~53.2k"
+export function formatTokens(tokens) {
+  return tokens < 1000
+    ? `~${tokens}`
+    : `~${(tokens / 1000).toFixed(tokens < 100000 ? 1 : 0)}k`;
+}
+
+export const formatCount = (count) => count.toLocaleString("en-US");
+
+// "2026-10-19T09:05:08+00:00" -> "2026-10-19"
+export const formatDate = (isoDate) => isoDate.slice(0, 10);
+
+// How long a changed rule is marked as updated
+const UPDATED_BADGE_DAYS = 30;
+
+// Whether the guide's content changed (not just appeared) in a recent commit
+export function isRecentlyUpdated(guide, now = Date.now()) {
+  const change = guide.lastModified;
+  return (
+    change?.change === "updated" &&
+    now - Date.parse(change.date) < UPDATED_BADGE_DAYS * 24 * 60 * 60 * 1000
+  );
+}
+
+const updatedBadge = (guide) =>
+  isRecentlyUpdated(guide)
+    ? ` <span class="updated-badge" title="Changed on ${escapeHtml(
+        formatDate(guide.lastModified.date)
+      )}">Updated</span>`
+    : "";
+
+// Static pages live under docs/stacks: "stacks/<stack>/" for a stack and
+// "stacks/<stack>/<guide>.html" for a guide (its raw rule is "<guide>.mdc"
+// next to it). Paths are relative to docs/.
+export function pagePath(stackId, guideId = "") {
+  const stackPath = `stacks/${encodeURIComponent(stackId)}/`;
+  return guideId
+    ? `${stackPath}${encodeURIComponent(guideId)}.html`
+    : stackPath;
+}
+
+// Summary, focus and context cost at the top of a stack
+export function stackIntroHtml(stack) {
+  let content = `<div style="margin-bottom: 1.5rem;">`;
+  content += `<p style="font-size: 0.95rem; color: var(--color-text-light); margin-bottom: 1rem; font-weight: 300; line-height: 1.6;">${stack.summary}</p>`;
+  content += `<p style="font-size: 0.75rem; color: var(--color-primary); font-family: var(--font-mono); letter-spacing: 0.05em; text-transform: uppercase; padding: 0.25rem 0.5rem; border: 1px solid var(--color-primary); display: inline-block; border-radius: 0.25rem; background: rgba(0, 255, 209, 0.05);"><strong>Focus:</strong> ${stack.focus}</p>`;
+  content += `</div>`;
+
+  const { always, worstCase } = stack.metrics;
+  const globGuides = worstCase.guides - always.guides;
+  content += `<p class="context-cost"><strong>Context cost:</strong> ${formatTokens(
+    always.tokens
+  )} tokens in every chat from ${always.guides} always-apply ${
+    always.guides === 1 ? "rule" : "rules"
+  }`;
+  content +=
+    globGuides > 0
+      ? `, up to ${formatTokens(worstCase.tokens)} when ${
+          globGuides === 1
+            ? "its glob rule attaches"
+            : `all ${globGuides} glob rules attach`
+        }.`
+      : ".";
+  if (stack.budget) {
+    content += ` Budget: ${formatCount(
+      stack.budget.alwaysApplyTokens
+    )} always-apply tokens${
+      always.tokens > stack.budget.alwaysApplyTokens
+        ? ' <span class="over-budget">(over)</span>'
+        : ""
+    }.`;
+  }
+  content += `</p>`;
+
+  return content;
+}
+
+// Description, how the rule is applied and its size, above a guide's body
+export function guideIntroHtml(guide) {
+  let content = "";
+
+  if (guide.frontmatter.description) {
+    content += `<p style="font-size: 0.95rem; color: var(--color-text-light); margin-bottom: 1.5rem; font-style: italic; font-weight: 300; line-height: 1.6;">${escapeHtml(
+      guide.frontmatter.description
+    )}</p>`;
+  }
+
+  if (guide.alwaysApply) {
+    content += `<div style="background: rgba(0, 255, 136, 0.05); padding: 0.75rem; border-radius: var(--radius-sm); margin-bottom: 1.5rem; border-left: 2px solid var(--color-success); border: 1px solid rgba(0, 255, 136, 0.2);">`;
+    content += `<strong style="color: var(--color-success); font-family: var(--font-mono); font-size: 0.8rem; letter-spacing: 0.05em; text-transform: uppercase;">✓ Auto-Applied:</strong> <span style="font-size: 0.875rem; color: var(--color-text-light);">This rule is automatically applied to all AI interactions.</span>`;
+    content += `</div>`;
+  }
+
+  if (guide.globs && guide.globs.length > 0) {
+    content += `<div style="background: var(--color-bg-alt); padding: 0.75rem; border-radius: var(--radius-sm); margin-bottom: 1.5rem; border: 1px solid var(--color-border);">`;
+    content += `<strong style="font-family: var(--font-mono); font-size: 0.8rem; letter-spacing: 0.05em; text-transform: uppercase; color: var(--color-text);">Applies to:</strong> <code style="background: rgba(0, 255, 209, 0.1); border: 1px solid rgba(0, 255, 209, 0.2); padding: 0.2em 0.4em; border-radius: 0.25rem; color: var(--color-primary-light); font-size: 0.8rem;">${escapeHtml(
+      guide.globs.join(", ")
+    )}</code>`;
+    content += `</div>`;
+  }
+
+  const { characters, words, tokens } = guide.metrics;
+  content += `<p class="guide-metrics">${formatCount(
+    characters
+  )} characters · ${formatCount(words)} words · ${formatTokens(
+    tokens
+  )} tokens</p>`;
+  content += `<p class="guide-version">Version <code>${escapeHtml(
+    guide.ruleHash
+  )}</code>${
+    guide.lastModified
+      ? ` · last changed ${formatDate(
+          guide.lastModified.date
+        )} in <code>${guide.lastModified.commit.slice(0, 7)}</code>`
+      : ""
+  }${updatedBadge(guide)}</p>`;
+
+  return content;
+}
+
+// A guide in a list of guides, marked when it is always applied or was
+// updated recently. `href` is
+// where it links to; `data-stack`/`data-guide` let the site open it in place.
+export function guideItemHtml(stackId, guide, href) {
+  const alwaysApplyBadge = guide.alwaysApply
+    ? '<span style="color: var(--color-success); font-size: 0.7rem;">✓</span> '
+    : "";
+  const title = escapeHtml(guide.title) + updatedBadge(guide);
+  return `<a href="${escapeHtml(href)}" class="guide-item ${
+    guide.alwaysApply ? "always-apply" : ""
+  }" data-stack="${escapeHtml(stackId)}" data-guide="${escapeHtml(guide.id)}">
+                       ${alwaysApplyBadge}${title}
+                   </a>`;
+}
+
+/**
+ * diffHunks() as HTML: each hunk under a "@@ -12 +12 @@" header, lines
+ * marked with "-" (removed), "+" (added) or " ". Empty when nothing changed.
+ */
+export function diffHtml(hunks) {
+  if (hunks.length === 0) {
+    return `<p class="diff-empty">No differences.</p>`;
+  }
+
+  const signs = { same: " ", removed: "-", added: "+" };
+  return `<pre class="diff"><code>${hunks
+    .map(
+      (hunk) =>
+        `<span class="diff-hunk-header">@@ -${hunk.beforeLine} +${hunk.afterLine} @@</span>` +
+        hunk.lines
+          .map(
+            (line) =>
+              `<span class="diff-line diff-${line.type}">${
+                signs[line.type]
+              } ${escapeHtml(line.text)}</span>`
+          )
+          .join("")
+    )
+    .join("")}</code></pre>`;
+}
@@ -0,0 +1,143 @@
+// ZIP archives for the site's downloads, written without a library so they
+// work offline. Entries are deflated with the browser's CompressionStream
+// where there is one (and stored when that does not make them smaller), or
+// stored as they are otherwise; every unzip tool reads both.
+
+const encoder = new TextEncoder();
+
+// Version 2.0, the first with deflate and directories
+const ZIP_VERSION = 20;
+// Bit 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+const STORE = 0;
+const DEFLATE = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date, in local time, as ZIP headers store them; the
+// format starts in 1980 and counts seconds in twos
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Whether this runtime can deflate; older browsers only store
+function canDeflate() {
+  try {
+    new CompressionStream("deflate-raw");
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Write `files` (`{path, content}`, content a string or bytes, paths with
+ * forward slashes) into a ZIP archive and return its bytes. Entries are
+ * deflated unless `options.compress` is false.
+ */
+export async function createZip(
+  files,
+  { compress = true, date = new Date() } = {}
+) {
+  const deflate = compress && canDeflate();
+  const { time, date: day } = dosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.path);
+    const data =
+      typeof file.content === "string"
+        ? encoder.encode(file.content)
+        : file.content;
+    const crc = crc32(data);
+
+    let method = STORE;
+    let stored = data;
+    if (deflate && data.length > 0) {
+      const deflated = await deflateRaw(data);
+      if (deflated.length < data.length) {
+        method = DEFLATE;
+        stored = deflated;
+      }
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, stored.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, ZIP_VERSION, true);
+    central.setUint16(6, ZIP_VERSION, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, stored.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    // Extra field, comment, disk number and attributes stay 0
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, stored);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + stored.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  for (const part of parts) {
+    archive.set(part, position);
+    position += part.length;
+  }
+  return archive;
+}
@@ -0,0 +1,128 @@
+// Service worker: keeps the site and its rule data available offline.
+//
+// data/offline.json, written by the build, lists every file the site needs
+// and a version. Each version is cached whole, in a cache of its own, and
+// the previous one is only dropped once the new one is complete, so a page
+// always gets its scripts and data from the same build. Requests are
+// answered from the cache; pages ask for a check for a new version when they
+// load, and are told once one is cached (or when the check fails offline).
+// Files outside the build that were fetched once (static pages, the feed)
+// are kept in a cache of their own, emptied with each new version.
+
+const CACHE_PREFIX = "vibe-rules-";
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime`;
+const OFFLINE_MANIFEST = "data/offline.json";
+
+const scopeUrl = (file) => new URL(file, self.registration.scope).href;
+
+// Cache the published version unless it is cached already. Resolves to
+// "updated" with the new build's date, or "current".
+async function updateCache() {
+  const response = await fetch(scopeUrl(OFFLINE_MANIFEST), {
+    cache: "no-store",
+  });
+  if (!response.ok) throw new Error(`Failed to load ${OFFLINE_MANIFEST}`);
+  const manifest = await response.json();
+
+  const name = CACHE_PREFIX + manifest.version;
+  const cache = await caches.open(name);
+  // The manifest goes in last: a cache without it is incomplete
+  if (await cache.match(scopeUrl(OFFLINE_MANIFEST))) {
+    return { status: "current" };
+  }
+
+  try {
+    // Past the HTTP cache, which may still hold the previous build
+    await cache.addAll(
+      manifest.files.map(
+        (file) => new Request(scopeUrl(file), { cache: "reload" })
+      )
+    );
+    await cache.put(
+      scopeUrl(OFFLINE_MANIFEST),
+      new Response(JSON.stringify(manifest), {
+        headers: { "Content-Type": "application/json" },
+      })
+    );
+  } catch (error) {
+    await caches.delete(name);
+    throw error;
+  }
+
+  // The runtime cache goes too: its files may have changed with the build
+  for (const key of await caches.keys()) {
+    if (key.startsWith(CACHE_PREFIX) && key !== name) await caches.delete(key);
+  }
+  return { status: "updated", generatedAt: manifest.generatedAt };
+}
+
+// The app's page answers for index.html and any query (rule variables)
+function cacheKey(request) {
+  const url = new URL(request.url);
+  const scope = new URL(self.registration.scope);
+  if (
+    request.mode === "navigate" &&
+    (url.pathname === scope.pathname ||
+      url.pathname === `${scope.pathname}index.html`)
+  ) {
+    return scope.href;
+  }
+  return request;
+}
+
+async function respond(request) {
+  const cached = await caches.match(cacheKey(request), {
+    ignoreSearch: request.mode === "navigate",
+  });
+  if (cached) return cached;
+
+  // Not part of the build (a static page, the feed): keep what is fetched
+  const response = await fetch(request);
+  if (response.ok && response.type === "basic") {
+    const cache = await caches.open(RUNTIME_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(updateCache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (
+    request.method !== "GET" ||
+    new URL(request.url).origin !== self.location.origin ||
+    // Asked for fresh data (the dev server's live reload)
+    request.cache === "no-store"
+  ) {
+    return;
+  }
+  event.respondWith(respond(request));
+});
+
+// { type: "check-for-update" } from a page. The answer is { type:
+// "update-check", status: "current" | "updated" | "offline" }; a new
+// version concerns every open page, so "updated" goes to all of them.
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "check-for-update") return;
+
+  event.waitUntil(
+    updateCache()
+      .catch(() => ({ status: "offline" }))
+      .then(async (result) => {
+        const clients =
+          result.status === "updated"
+            ? await self.clients.matchAll({ type: "window" })
+            : [event.source];
+        for (const client of clients) {
+          client.postMessage({ type: "update-check", ...result });
+        }
+      })
+  );
+});
@@ -1,218 +1,67 @@
-import { promises as fs } from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
+import { buildStack, writeGuidesData, writeSearchIndex } from "./lib/build.mjs";
+import { writeHistory } from "./lib/history.mjs";
+import { writeOfflineManifest } from "./lib/offline.mjs";
+import { writePages } from "./lib/pages.mjs";
+import { discoverStacks } from "./lib/stacks.mjs";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const repoRoot = path.resolve(__dirname, "..");
-
-const STACKS = [
-  {
-    id: "typescript",
-    name: "TypeScript",
-    directory: "Typescript",
-    icon: "icons/typescript.png",
-    summary: "Type-safe JavaScript development",
-    focus: "Type safety, code quality, best practices",
-  },
-  {
-    id: "python",
-    name: "Python",
-    directory: "Python",
-    icon: "icons/python.png",
-    summary: "General Python development",
-    focus: "Type safety, readability, best practices",
-  },
-  {
-    id: "rust",
-    name: "Rust",
-    directory: "Rust",
-    icon: "icons/rust.png",
-    summary: "Systems programming with Rust",
-    focus: "Memory safety, performance, zero-cost abstractions",
-  },
-  {
-    id: "arduino-platformio",
-    name: "Arduino + PlatformIO",
-    directory: "Arduino + PlatformIO",
-    icon: "icons/arduino.png",
-    summary: "Embedded systems & microcontrollers",
-    focus: "Hardware abstraction, memory management, interrupts, safety",
-  },
-  {
-    id: "python-fastapi",
-    name: "Python + FastAPI",
-    directory: "Python + FastAPI",
-    icon: "icons/fastapi.png",
-    summary: "Backend API development with FastAPI",
-    focus: "Async APIs, validation, security, testing",
-  },
-  {
-    id: "solidity-foundry",
-    name: "Solidity + Foundry",
-    directory: "solidity + foundry",
-    icon: "icons/solidity.png",
-    summary: "Smart contract engineering with Foundry",
-    focus: "Security-first, gas efficiency, upgradeability",
-  },
-  {
-    id: "typescript-react-nextjs",
-    name: "TypeScript-React + Nextjs",
-    directory: "Typescript-React + Nextjs",
-    icon: "icons/nextjs.png",
-    summary: "Full-stack web development with Next.js",
-    focus: "React patterns, accessibility, performance",
-  },
-];
-
-const parseFrontmatter = (content) => {
-  if (!content.startsWith("---")) {
-    return { frontmatter: {}, body: content };
+async function buildGuidesData() {
+  const builtStacks = [];
+  for (const stack of await discoverStacks()) {
+    builtStacks.push(await buildStack(stack));
   }
 
-  const endIndex = content.indexOf("\n---", 3);
-  if (endIndex === -1) {
-    return { frontmatter: {}, body: content };
+  const overBudget = builtStacks.map((built) => built.budget).filter(Boolean);
+  for (const { level, message } of overBudget) {
+    if (level === "warning") console.warn(`⚠️  ${message}`);
   }
-
-  const fmText = content.slice(3, endIndex).trim();
-  const body = content.slice(endIndex + 4).trimStart();
-  const frontmatter = {};
-
-  const lines = fmText.split(/\r?\n/);
-  let currentKey = null;
-
-  for (const line of lines) {
-    if (!line.trim()) continue;
-
-    if (line.trim().startsWith("-")) {
-      if (currentKey) {
-        if (!Array.isArray(frontmatter[currentKey])) {
-          frontmatter[currentKey] = [];
-        }
-        const value = line
-          .trim()
-          .slice(1)
-          .trim()
-          .replace(/^["']|["']$/g, "");
-        frontmatter[currentKey].push(value);
-      }
-      continue;
-    }
-
-    const colonIndex = line.indexOf(":");
-    if (colonIndex === -1) continue;
-
-    const key = line.slice(0, colonIndex).trim();
-    const value = line
-      .slice(colonIndex + 1)
-      .trim()
-      .replace(/^["']|["']$/g, "");
-
-    if (value) {
-      frontmatter[key] =
-        value === "true" ? true : value === "false" ? false : value;
-      currentKey = null;
-    } else {
-      frontmatter[key] = [];
-      currentKey = key;
-    }
+  const budgetErrors = overBudget.filter(({ level }) => level === "error");
+  if (budgetErrors.length > 0) {
+    for (const { message } of budgetErrors) console.error(`❌ ${message}`);
+    console.error(
+      `❌ Build failed: ${budgetErrors.length} ${
+        budgetErrors.length === 1 ? "stack is" : "stacks are"
+      } over the always-apply token budget`
+    );
+    process.exitCode = 1;
+    return;
   }
 
-  return { frontmatter, body };
-};
-
-const titleize = (fileName) => {
-  return fileName
-    .replace(/\.mdc$/i, "")
-    .replace(/-/g, " ")
-    .replace(/_/g, " ")
-    .split(" ")
-    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
-    .join(" ");
-};
-
-const slugify = (text) => {
-  return text
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-|-$/g, "");
-};
-
-async function buildGuidesData() {
-  const docsDir = path.join(repoRoot, "docs");
-  const dataDir = path.join(docsDir, "data");
-
-  await fs.mkdir(dataDir, { recursive: true });
-
-  const stacksData = [];
+  const { manifestBytes, contentFiles } = await writeGuidesData(builtStacks);
+  const searchIndex = await writeSearchIndex(builtStacks);
 
-  for (const stack of STACKS) {
-    const stackDir = path.join(repoRoot, stack.directory);
-    const rulesDir = path.join(stackDir, ".cursor", "rules");
-    const files = await fs.readdir(rulesDir);
-    const mdcFiles = files.filter((f) => f.endsWith(".mdc"));
-
-    const guides = [];
-
-    for (const file of mdcFiles) {
-      const filePath = path.join(rulesDir, file);
-      const content = await fs.readFile(filePath, "utf-8");
-      const { frontmatter, body } = parseFrontmatter(content);
-
-      const guide = {
-        id: slugify(file.replace(/\.mdc$/i, "")),
-        title: titleize(file),
-        fileName: file,
-        frontmatter,
-        content: body,
-        alwaysApply:
-          frontmatter.alwaysApply === true ||
-          frontmatter.alwaysApply === "true",
-        globs: frontmatter.globs || [],
-      };
-
-      guides.push(guide);
-    }
-
-    guides.sort((a, b) => {
-      if (a.fileName === "README.md") return -1;
-      if (b.fileName === "README.md") return 1;
-      return a.title.localeCompare(b.title);
-    });
-
-    const readmePath = path.join(stackDir, "README.md");
-    let readme = "";
-    try {
-      readme = await fs.readFile(readmePath, "utf-8");
-    } catch (err) {
-      // README might not exist
-    }
-
-    stacksData.push({
-      ...stack,
-      readme,
-      guides,
-    });
+  console.log(
+    `✅ Built guides data: ${builtStacks.length} stacks, ${builtStacks.reduce(
+      (sum, built) => sum + built.data.guides.length,
+      0
+    )} guides, ${Object.keys(searchIndex.terms).length} search terms`
+  );
+  console.log(
+    `✅ Manifest ${(manifestBytes / 1024).toFixed(
+      1
+    )} KB, ${contentFiles} content files`
+  );
+  console.log(`✅ Context cost in tokens (always-apply / worst case):`);
+  const idWidth = Math.max(...builtStacks.map(({ stack }) => stack.id.length));
+  for (const { stack, data } of builtStacks) {
+    const { always, worstCase } = data.metrics;
+    console.log(
+      `   ${stack.id.padEnd(idWidth)} ~${always.tokens} / ~${worstCase.tokens}`
+    );
   }
 
-  const output = {
-    stacks: stacksData,
-    generatedAt: new Date().toISOString(),
-  };
-
-  await fs.writeFile(
-    path.join(dataDir, "guides.json"),
-    JSON.stringify(output, null, 2),
-    "utf-8"
-  );
+  const pageCount = await writePages(builtStacks);
+  console.log(`✅ Built ${pageCount} static pages and sitemap.xml`);
 
+  const changeCount = await writeHistory(builtStacks);
   console.log(
-    `✅ Built guides data: ${stacksData.length} stacks, ${stacksData.reduce(
-      (sum, s) => sum + s.guides.length,
-      0
-    )} guides`
+    `✅ Recorded ${changeCount} rule versions in history.json and feed.xml`
   );
+
+  const offlineCount = await writeOfflineManifest();
+  console.log(`✅ Listed ${offlineCount} files for offline use`);
 }
 
-buildGuidesData().catch(console.error);
+buildGuidesData().catch((error) => {
+  console.error(`❌ Build failed: ${error.message}`);
+  process.exitCode = 1;
+});
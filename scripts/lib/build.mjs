@@ -0,0 +1,226 @@
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { buildMdcContent } from "../../docs/lib/mdc.js";
+import { templateVariants } from "../../docs/lib/variables.js";
+import { ruleHistory } from "./history.mjs";
+import { renderMarkdown, renderMarkdownWithSections } from "./markdown.mjs";
+import { checkBudget, guideMetrics, stackMetrics } from "./metrics.mjs";
+import { buildSearchIndex } from "./search-index.mjs";
+import { guideFile, loadStack, repoRoot } from "./stacks.mjs";
+
+// Build steps shared by `npm run build` and the dev server, which rebuilds
+// only the stacks whose files changed and then rewrites the outputs.
+
+export const dataDir = path.join(repoRoot, "docs", "data");
+// Guide and README bodies, one file each, named by a hash of their content
+const contentDir = path.join(dataDir, "content");
+
+const contentHash = (text) =>
+  createHash("sha256").update(text).digest("hex").slice(0, 10);
+
+// The body of a rule with variables rendered for every combination of its
+// conditions (templateVariants()), as `{keys, html}`: `keys` maps each
+// combination to its index in `html`, which holds each different rendering
+// once
+function renderVariants(guide) {
+  const keys = {};
+  const html = [];
+  const indexes = new Map();
+  for (const { key, text } of templateVariants(
+    guide.template.content,
+    guide.variables
+  )) {
+    if (!indexes.has(text)) {
+      indexes.set(text, html.length);
+      html.push(renderMarkdown(text));
+    }
+    keys[key] = indexes.get(text);
+  }
+  return { keys, html };
+}
+
+/**
+ * Load one stack from disk and render it. `data` is its entry in the
+ * guides.json manifest: metadata only, with each guide's body (and the
+ * README) split out into a content file, `shards`, which the site fetches
+ * when it is opened. Bodies carry pre-rendered, sanitized HTML so the site
+ * never parses markdown itself. `searchEntries` are the guides' heading
+ * sections for the search index, and `html` the rendered README and guides
+ * (by id) for the static pages. Guides and the stack carry their context
+ * cost as `metrics`; `budget` is checkBudget()'s result for the stack.
+ * `versions` are each guide's ruleHistory() (by id): the manifest records
+ * the current hash and last commit, and earlier versions go into a history
+ * content file.
+ */
+export async function buildStack(stackDefinition) {
+  const stack = await loadStack(stackDefinition);
+  const searchEntries = [];
+  const shards = [];
+
+  // Returns the file (relative to docs/data) and hash for the manifest
+  const addShard = (name, body) => {
+    const json = JSON.stringify(body);
+    const hash = contentHash(json);
+    const file = `content/${stack.id}/${name}.${hash}.json`;
+    shards.push({ file, json });
+    return { file, hash };
+  };
+
+  const { readme, guides, ...metadata } = stack;
+  const readmeHtml = readme ? renderMarkdown(readme) : "";
+  const readmeShard = readme
+    ? addShard("readme", { readme, readmeHtml })
+    : null;
+  const guideHtml = new Map();
+
+  const versions = new Map();
+  for (const guide of guides) {
+    versions.set(
+      guide.id,
+      await ruleHistory(
+        guideFile(stack, guide),
+        buildMdcContent(guide),
+        guide.fragments
+      )
+    );
+  }
+
+  const guidesData = guides.map((guide) => {
+    const { html, sections } = renderMarkdownWithSections(guide.content);
+    searchEntries.push({ stackId: stack.id, guide, sections });
+    guideHtml.set(guide.id, html);
+
+    const { content, frontmatterRaw, template, ...guideMetadata } = guide;
+    // The template is only needed to set a rule's variables, on the site
+    const shard = addShard(`guides/${guide.id}`, {
+      content,
+      frontmatterRaw,
+      html,
+      ...(template && { template, variants: renderVariants(guide) }),
+    });
+    const guideVersions = versions.get(guide.id);
+    const lastCommitIndex = guideVersions.findIndex(
+      (version) => version.commit
+    );
+    const lastCommit = guideVersions[lastCommitIndex];
+    const historyShard =
+      guideVersions.length > 1
+        ? addShard(`history/${guide.id}`, { versions: guideVersions })
+        : null;
+
+    return {
+      ...guideMetadata,
+      metrics: guideMetrics(content),
+      ruleHash: guideVersions[0].hash,
+      // "added" when the last commit is the rule's first version
+      lastModified: lastCommit
+        ? {
+            commit: lastCommit.commit,
+            date: lastCommit.date,
+            change:
+              lastCommitIndex < guideVersions.length - 1 ? "updated" : "added",
+          }
+        : null,
+      versionCount: guideVersions.length,
+      historyFile: historyShard?.file || null,
+      contentFile: shard.file,
+      contentHash: shard.hash,
+    };
+  });
+  const metrics = stackMetrics(guidesData);
+
+  const data = {
+    ...metadata,
+    metrics,
+    readmeFile: readmeShard?.file || null,
+    readmeHash: readmeShard?.hash || null,
+    guides: guidesData,
+  };
+
+  return {
+    stack,
+    data,
+    shards,
+    searchEntries,
+    html: { readme: readmeHtml, guides: guideHtml },
+    versions,
+    budget: checkBudget(stack, metrics),
+  };
+}
+
+// Every file under `directory`, relative to it, with "/" separators
+async function listFiles(directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      const nested = await listFiles(path.join(directory, entry.name));
+      files.push(...nested.map((file) => `${entry.name}/${file}`));
+    } else {
+      files.push(entry.name);
+    }
+  }
+  return files;
+}
+
+/**
+ * Write the guides.json manifest and the content files it points to.
+ * `builtStacks` are buildStack() results, in display order. A content file
+ * never changes once written (its name is its hash), so existing ones are
+ * kept and files no stack refers to any more are deleted.
+ */
+export async function writeGuidesData(builtStacks) {
+  const shards = builtStacks.flatMap((built) => built.shards);
+  const wanted = new Set(shards.map((shard) => shard.file));
+  const existing = new Set(
+    (await listFiles(contentDir)).map((file) => `content/${file}`)
+  );
+
+  for (const shard of shards) {
+    if (existing.has(shard.file)) continue;
+    const filePath = path.join(dataDir, shard.file);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, shard.json, "utf-8");
+  }
+
+  const output = {
+    stacks: builtStacks.map((built) => built.data),
+    generatedAt: new Date().toISOString(),
+  };
+
+  const manifest = JSON.stringify(output, null, 2);
+  await fs.writeFile(path.join(dataDir, "guides.json"), manifest, "utf-8");
+
+  // Only after the new manifest is in place, for pages still using the old
+  for (const file of existing) {
+    if (!wanted.has(file)) await fs.rm(path.join(dataDir, file));
+  }
+
+  return {
+    manifestBytes: Buffer.byteLength(manifest),
+    contentFiles: shards.length,
+  };
+}
+
+export async function writeSearchIndex(builtStacks) {
+  const searchIndex = buildSearchIndex(
+    builtStacks.flatMap((built) => built.searchEntries)
+  );
+
+  await fs.mkdir(dataDir, { recursive: true });
+  await fs.writeFile(
+    path.join(dataDir, "search-index.json"),
+    JSON.stringify(searchIndex),
+    "utf-8"
+  );
+
+  return searchIndex;
+}
@@ -0,0 +1,237 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { stringify } from "yaml";
+import { parseFrontmatter } from "./frontmatter.mjs";
+import { repoRoot } from "./stacks.mjs";
+
+// Rule text shared between stacks lives once in shared/ as fragments
+// (shared/<name>.mdc, subdirectories allowed) and is pulled into a stack's
+// rules when they are loaded, so everything built from a rule (the site,
+// exports, pages, the CLI) sees the resolved rule. Two directives:
+//
+//   <!-- @include name -->   on a line of its own in the body: replaced by
+//                            the fragment's body (its frontmatter is not used)
+//   extends: name            in the frontmatter: the rule is the fragment,
+//                            with the rule's own frontmatter keys on top of
+//                            the fragment's, and its body's "## " sections
+//                            replacing the fragment's sections of the same
+//                            heading. Other sections are added at the end, and
+//                            text before the first section replaces the
+//                            fragment's (its title and introduction).
+//
+// Fragments can use both directives themselves.
+
+export const FRAGMENTS_DIRECTORY = "shared";
+
+const INCLUDE_PATTERN = /^<!--\s*@include\s+(\S+?)\s*-->[ \t]*$/;
+const NAME_PATTERN = /^[\w-]+(?:\/[\w-]+)*$/;
+const FENCE_PATTERN = /^(`{3,}|~{3,})/;
+
+export class FragmentError extends Error {
+  constructor(message, { filePath, line }) {
+    const location = [filePath, line].filter(Boolean).join(":");
+    super(`${location} ${message}`);
+    this.name = "FragmentError";
+    this.reason = message;
+    this.filePath = filePath;
+    this.line = line;
+  }
+}
+
+// A fragment's file relative to the repo root, with forward slashes
+export const fragmentFile = (name) => `${FRAGMENTS_DIRECTORY}/${name}.mdc`;
+
+// Read a fragment from shared/; null when there is none
+export async function readFragmentFile(name) {
+  try {
+    return await fs.readFile(path.join(repoRoot, fragmentFile(name)), "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+// Lines of markdown with whether each is inside a fenced code block, where
+// directives and headings are only text
+function markdownLines(text) {
+  let fence = null;
+  return text.split("\n").map((line) => {
+    const marker = line.match(FENCE_PATTERN)?.[1];
+    const inCode = fence !== null || Boolean(marker);
+    if (fence === null && marker) {
+      fence = marker;
+    } else if (fence !== null && marker?.startsWith(fence)) {
+      fence = null;
+    }
+    return { line, inCode };
+  });
+}
+
+// Text before the first "## " heading, then each section up to the next one
+function splitSections(body) {
+  const sections = [];
+  const preamble = [];
+  let current = null;
+
+  for (const { line, inCode } of markdownLines(body)) {
+    if (!inCode && /^## /.test(line)) {
+      current = { key: line.slice(3).trim().toLowerCase(), lines: [line] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    } else {
+      preamble.push(line);
+    }
+  }
+
+  const join = (lines) => lines.join("\n");
+  return {
+    preamble: join(preamble),
+    sections: sections.map(({ key, lines }) => ({ key, text: join(lines) })),
+  };
+}
+
+// Body of a rule that extends `parent`: see the module comment
+function mergeSections(parent, own) {
+  const base = splitSections(parent);
+  const overrides = splitSections(own);
+  const overridden = new Map(
+    overrides.sections.map((section) => [section.key, section.text])
+  );
+
+  const pieces = [
+    overrides.preamble.trim() ? overrides.preamble : base.preamble,
+    ...base.sections.map(
+      (section) => overridden.get(section.key) ?? section.text
+    ),
+    ...overrides.sections
+      .filter(
+        (section) => !base.sections.some(({ key }) => key === section.key)
+      )
+      .map((section) => section.text),
+  ].filter((piece) => piece.trim());
+
+  // Sections keep a blank line between them wherever they came from
+  return pieces
+    .map((piece, index) =>
+      index === pieces.length - 1 || piece.endsWith("\n\n")
+        ? piece
+        : piece.replace(/\n*$/, "\n\n")
+    )
+    .join("");
+}
+
+const frontmatterText = (frontmatter) =>
+  Object.keys(frontmatter).length > 0
+    ? `---\n${stringify(frontmatter)}---\n\n`
+    : "";
+
+/**
+ * Resolve the directives in `content`, the text of the rule or fragment at
+ * `filePath` (relative to the repo root, to label errors). `readFragment`
+ * returns a fragment's text by name, or null when it does not exist.
+ *
+ * Returns parseFrontmatter()'s `{frontmatter, frontmatterRaw, body}` for the
+ * resolved rule, plus `fragments`, the names of every fragment it uses. A
+ * rule without directives comes back as it is, byte for byte; an extending
+ * rule's frontmatter is written out again, unless it only has `extends`.
+ * Throws FragmentError for a missing fragment or an include cycle, and
+ * FrontmatterError for invalid frontmatter in the rule or a fragment.
+ */
+export async function resolveRule(
+  content,
+  filePath,
+  readFragment = readFragmentFile,
+  chain = [filePath]
+) {
+  const { frontmatter, frontmatterRaw, body } = parseFrontmatter(
+    content,
+    filePath
+  );
+  const fragments = new Set();
+  // Body lines start after the frontmatter
+  const bodyLineOffset = content
+    .slice(0, frontmatterRaw.length)
+    .split("\n").length;
+
+  async function loadFragment(name, line) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new FragmentError(
+        `Invalid fragment name "${name}": use letters, digits, "-" and "_", with "/" between directories`,
+        { filePath, line }
+      );
+    }
+    const file = fragmentFile(name);
+    if (chain.includes(file)) {
+      throw new FragmentError(
+        `Include cycle: ${[...chain.slice(chain.indexOf(file)), file].join(
+          " → "
+        )}`,
+        { filePath, line }
+      );
+    }
+    const text = await readFragment(name);
+    if (text === null) {
+      throw new FragmentError(`Missing fragment "${name}" (${file})`, {
+        filePath,
+        line,
+      });
+    }
+
+    const resolved = await resolveRule(text, file, readFragment, [
+      ...chain,
+      file,
+    ]);
+    fragments.add(name);
+    for (const nested of resolved.fragments) fragments.add(nested);
+    return resolved;
+  }
+
+  const lines = [];
+  for (const [index, { line, inCode }] of markdownLines(body).entries()) {
+    const name = !inCode && line.match(INCLUDE_PATTERN)?.[1];
+    if (!name) {
+      lines.push(line);
+      continue;
+    }
+    const fragment = await loadFragment(name, bodyLineOffset + index);
+    lines.push(fragment.body.replace(/\n+$/, ""));
+  }
+  const ownBody = lines.join("\n");
+
+  if (frontmatter.extends === undefined) {
+    return {
+      frontmatter,
+      frontmatterRaw,
+      body: ownBody,
+      fragments: [...fragments],
+    };
+  }
+
+  // The "extends:" line, for errors
+  const extendsLine =
+    content
+      .slice(0, frontmatterRaw.length)
+      .split("\n")
+      .findIndex((line) => /^extends\s*:/.test(line)) + 1;
+  if (typeof frontmatter.extends !== "string") {
+    throw new FragmentError("`extends` must be the name of one fragment", {
+      filePath,
+      line: extendsLine,
+    });
+  }
+
+  const parent = await loadFragment(frontmatter.extends, extendsLine);
+  const { extends: _, ...ownKeys } = frontmatter;
+  const merged = { ...parent.frontmatter, ...ownKeys };
+
+  return {
+    frontmatter: merged,
+    frontmatterRaw:
+      Object.keys(ownKeys).length === 0 && parent.frontmatterRaw
+        ? parent.frontmatterRaw
+        : frontmatterText(merged),
+    body: mergeSections(parent.body, ownBody),
+    fragments: [...fragments],
+  };
+}
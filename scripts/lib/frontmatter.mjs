@@ -0,0 +1,157 @@
+import { LineCounter, isMap, isScalar, parseDocument, visit } from "yaml";
+
+// Opening fence, optional YAML text, closing fence. The closing fence may end
+// the file when a rule has frontmatter only.
+const FRONTMATTER_PATTERN =
+  /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+// Cursor reads `globs` as it is written, so `globs: *.ts` is a pattern there
+// though YAML reads a leading `*` as an alias (and `{`, `&`, `!` and the
+// like as other syntax). Such a value on the key's own line is quoted before
+// the YAML is parsed; a comment after it stays a comment.
+const PLAIN_GLOBS_PATTERN =
+  /^(globs[ \t]*:[ \t]+)([*&!{@`%][^\r\n]*?)[ \t]*$/gm;
+
+const quoteGlobs = (yamlText) =>
+  yamlText.replace(
+    PLAIN_GLOBS_PATTERN,
+    (_, key, value) => key + JSON.stringify(value.replace(/[ \t]+#.*$/, ""))
+  );
+
+export class FrontmatterError extends Error {
+  constructor(message, { filePath, line, column }) {
+    const location = [filePath, line, column].filter(Boolean).join(":");
+    super(`${location} ${message}`);
+    this.name = "FrontmatterError";
+    this.reason = message;
+    this.filePath = filePath;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Split an .mdc file into parsed YAML frontmatter and its markdown body.
+ *
+ * `frontmatterRaw` is the file text in front of the body, fences and blank
+ * lines included, so `frontmatterRaw + body` is the original file byte for
+ * byte. `lineOf(["globs", 1])` returns the file line of a key or list entry
+ * (or of the frontmatter itself when it is missing), for lint findings.
+ * An unquoted `globs` value is read the way Cursor reads it, as a string.
+ */
+export function parseFrontmatter(content, filePath = "") {
+  const opensWithFence = /^\uFEFF?---[ \t]*\r?\n/.test(content);
+  const match = content.match(FRONTMATTER_PATTERN);
+
+  if (!match) {
+    if (opensWithFence) {
+      throw new FrontmatterError(
+        "Frontmatter is opened with `---` but never closed",
+        { filePath, line: 1 }
+      );
+    }
+    return {
+      frontmatter: {},
+      frontmatterRaw: "",
+      body: content,
+      lineOf: () => 1,
+    };
+  }
+
+  const yamlText = match[1] || "";
+  const bodyWithBlankLines = content.slice(match[0].length);
+  const body = bodyWithBlankLines.trimStart();
+  const frontmatterRaw = content.slice(0, content.length - body.length);
+  // YAML line 1 is the line after the opening fence
+  const lineOffset = 1;
+
+  const lineCounter = new LineCounter();
+  const yamlDocument = parseDocument(quoteGlobs(yamlText), {
+    lineCounter,
+    prettyErrors: false,
+    uniqueKeys: true,
+  });
+
+  const locate = (offset) => {
+    const { line, col } = lineCounter.linePos(offset);
+    return { filePath, line: line + lineOffset, column: col };
+  };
+
+  if (yamlDocument.errors.length > 0) {
+    const [error] = yamlDocument.errors;
+    throw new FrontmatterError(
+      `Invalid frontmatter: ${error.message}`,
+      locate(error.pos[0])
+    );
+  }
+
+  // `globs: *.ts` is an alias in YAML, not a pattern; Cursor users hit this a lot
+  visit(yamlDocument, {
+    Alias(_, node) {
+      throw new FrontmatterError(
+        `Invalid frontmatter: *${node.source} is read as a YAML alias; quote patterns that start with "*"`,
+        locate(node.range[0])
+      );
+    },
+  });
+
+  const frontmatter = yamlDocument.toJS() ?? {};
+
+  if (typeof frontmatter !== "object" || Array.isArray(frontmatter)) {
+    throw new FrontmatterError(
+      "Invalid frontmatter: expected `key: value` pairs",
+      { filePath, line: 1 + lineOffset }
+    );
+  }
+
+  const lineOf = (keyPath) => {
+    const [key] = keyPath;
+    const node =
+      keyPath.length === 1 && isMap(yamlDocument.contents)
+        ? yamlDocument.contents.items.find(
+            (pair) => isScalar(pair.key) && pair.key.value === key
+          )?.key
+        : yamlDocument.getIn(keyPath, true);
+    return node?.range ? locate(node.range[0]).line : 1;
+  };
+
+  return { frontmatter, frontmatterRaw, body, lineOf };
+}
+
+// Split on commas that are not inside a {a,b} brace expansion
+function splitGlobList(value) {
+  const globs = [];
+  let depth = 0;
+  let current = "";
+
+  for (const char of value) {
+    if (char === "{") depth++;
+    if (char === "}") depth = Math.max(0, depth - 1);
+    if (char === "," && depth === 0) {
+      globs.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  globs.push(current);
+
+  return globs;
+}
+
+/**
+ * Cursor accepts `globs` as a YAML list or as one comma-separated string
+ * (`globs: "*.ts, *.tsx"`); both become a flat list of patterns.
+ */
+export function normalizeGlobs(value) {
+  if (value === undefined || value === null || value === "") return [];
+
+  const values = Array.isArray(value) ? value : [value];
+
+  return values
+    .flatMap((entry) =>
+      typeof entry === "string" ? splitGlobList(entry) : [String(entry)]
+    )
+    .map((glob) => glob.trim())
+    .filter(Boolean);
+}
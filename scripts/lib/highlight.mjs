@@ -0,0 +1,52 @@
+import hljs from "highlight.js/lib/core";
+import bash from "highlight.js/lib/languages/bash";
+import cpp from "highlight.js/lib/languages/cpp";
+import dockerfile from "highlight.js/lib/languages/dockerfile";
+import ini from "highlight.js/lib/languages/ini";
+import javascript from "highlight.js/lib/languages/javascript";
+import json from "highlight.js/lib/languages/json";
+import markdown from "highlight.js/lib/languages/markdown";
+import plaintext from "highlight.js/lib/languages/plaintext";
+import python from "highlight.js/lib/languages/python";
+import rust from "highlight.js/lib/languages/rust";
+import shell from "highlight.js/lib/languages/shell";
+import typescript from "highlight.js/lib/languages/typescript";
+import yaml from "highlight.js/lib/languages/yaml";
+import { solidity } from "highlightjs-solidity";
+
+// Syntax highlighting for the rules' code blocks, done by the build so the
+// site ships no highlighter: the languages the stacks' fences use, by their
+// highlight.js names (aliases such as `ts`, `tsx`, `sh`, `toml` and `sol`
+// work too). The token classes (`hljs-keyword`, …) are themed in
+// docs/styles.css.
+
+const LANGUAGES = {
+  bash,
+  cpp,
+  dockerfile,
+  ini,
+  javascript,
+  json,
+  markdown,
+  plaintext,
+  python,
+  rust,
+  shell,
+  solidity,
+  typescript,
+  yaml,
+};
+
+for (const [name, language] of Object.entries(LANGUAGES)) {
+  hljs.registerLanguage(name, language);
+}
+
+/**
+ * Highlight `code` written in `language` (a fence's info string word) as
+ * HTML, or return null for languages without a grammar here; the caller
+ * then shows the code as plain text.
+ */
+export function highlightCode(code, language) {
+  if (!language || !hljs.getLanguage(language)) return null;
+  return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+}
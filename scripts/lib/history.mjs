@@ -0,0 +1,276 @@
+import { execFile } from "child_process";
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { promisify } from "util";
+import { buildMdcContent } from "../../docs/lib/mdc.js";
+import { TemplateError } from "../../docs/lib/variables.js";
+import { escapeHtml, pagePath } from "../../docs/lib/views.js";
+import { FragmentError, fragmentFile } from "./fragments.mjs";
+import { FrontmatterError } from "./frontmatter.mjs";
+import { siteUrl } from "./pages.mjs";
+import { loadRule, repoRoot } from "./stacks.mjs";
+
+// Versions of each rule, read from this repository's git history: every
+// commit that changed a rule's content is a version, identified by a hash of
+// the rule file. Projects that copied a rule can compare its hash (or date)
+// with the site to see whether upstream changed since.
+
+const execFileAsync = promisify(execFile);
+
+// Versions of a rule the site shows; older ones are left out of its history
+const HISTORY_LIMIT = 20;
+// Changes listed in the Atom feed
+const FEED_LIMIT = 50;
+
+const dataDir = path.join(repoRoot, "docs", "data");
+
+// The version hash of a rule: what the file in a project would hash to
+export const ruleHash = (content) =>
+  createHash("sha256").update(content).digest("hex").slice(0, 12);
+
+async function git(args) {
+  const { stdout } = await execFileAsync(
+    "git",
+    ["-c", "core.quotePath=false", ...args],
+    { cwd: repoRoot, maxBuffer: 64 * 1024 * 1024 }
+  );
+  return stdout;
+}
+
+// Commits that touched `file` (relative to the repo root), newest first,
+// with the file's path in each (it may have been renamed). Empty outside a
+// git repository or for a file git does not track.
+async function fileCommits(file) {
+  let output;
+  try {
+    output = await git([
+      "log",
+      "--follow",
+      "--name-only",
+      "--format=%x1e%H%x1f%cI%x1f%s",
+      "--",
+      file,
+    ]);
+  } catch {
+    return [];
+  }
+
+  return output
+    .split("\x1e")
+    .filter((record) => record.trim())
+    .map((record) => {
+      const [header, ...paths] = record.split("\n");
+      const [commit, date, subject] = header.split("\x1f");
+      return { commit, date, subject, path: paths.find(Boolean) || file };
+    });
+}
+
+// The position of each commit that touched `files`, newest first
+async function commitRanks(files) {
+  let output = "";
+  try {
+    output = await git(["log", "--topo-order", "--format=%H", "--", ...files]);
+  } catch {
+    // Not a git repository
+  }
+  return new Map(
+    output
+      .split("\n")
+      .filter(Boolean)
+      .map((commit, index) => [commit, index])
+  );
+}
+
+// `path` at `commit`, or null where it does not exist
+async function fileAt(commit, path) {
+  try {
+    return await git(["show", `${commit}:${path}`]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The versions of the rule at `file` (relative to the repo root), newest
+ * first: `{hash, commit, date, subject, content}`, where content is the
+ * rule as built (loadRule()). A commit that left the content as it was (a rename, say)
+ * is not a version. Commits to the shared `fragments` the rule uses now are
+ * versions too, with the rule resolved against the fragments of the same
+ * commit. When the working copy differs from the last commit, it comes
+ * first with `commit` and `date` null. Outside a git repository that is the
+ * only version. Only the newest `limit` versions are returned (Infinity for
+ * all of them).
+ */
+export async function ruleHistory(
+  file,
+  currentContent,
+  fragments = [],
+  { limit = HISTORY_LIMIT } = {}
+) {
+  const ruleCommits = await fileCommits(file);
+  const commits = new Map(
+    ruleCommits.map((entry) => [entry.commit, { ...entry, rule: true }])
+  );
+  for (const fragment of fragments) {
+    for (const entry of await fileCommits(fragmentFile(fragment))) {
+      if (!commits.has(entry.commit)) {
+        commits.set(entry.commit, { ...entry, rule: false });
+      }
+    }
+  }
+  // Oldest first. With fragments, in the order git lists the commits that
+  // touched the rule's current path or a fragment; commits to an earlier
+  // path of the rule are older than those
+  let ordered = [...commits.values()];
+  if (fragments.length > 0) {
+    const rank = await commitRanks([file, ...fragments.map(fragmentFile)]);
+    ordered = ordered
+      .map((entry, index) => ({ entry, index }))
+      .sort(
+        (a, b) =>
+          (rank.get(a.entry.commit) ?? Infinity) -
+            (rank.get(b.entry.commit) ?? Infinity) || a.index - b.index
+      )
+      .map(({ entry }) => entry);
+  }
+  ordered.reverse();
+
+  const versions = [];
+  // Where the rule was at the last of its own commits
+  let rulePath = null;
+
+  for (const { commit, date, subject, path: commitPath, rule } of ordered) {
+    if (rule) rulePath = commitPath;
+    // A fragment changed before the rule existed
+    if (rulePath === null) continue;
+
+    const text = await fileAt(commit, rulePath);
+    // Deleted in this commit
+    if (text === null) continue;
+    let content;
+    try {
+      content = buildMdcContent(
+        await loadRule(text, rulePath, (name) =>
+          fileAt(commit, fragmentFile(name))
+        )
+      );
+    } catch (error) {
+      // Not a version that could be built
+      if (
+        error instanceof FragmentError ||
+        error instanceof FrontmatterError ||
+        error instanceof TemplateError
+      ) {
+        continue;
+      }
+      throw error;
+    }
+    const hash = ruleHash(content);
+    if (versions.at(-1)?.hash === hash) continue;
+    versions.push({ hash, commit, date, subject, content });
+  }
+
+  const currentHash = ruleHash(currentContent);
+  if (versions.at(-1)?.hash !== currentHash) {
+    versions.push({
+      hash: currentHash,
+      commit: null,
+      date: null,
+      subject: "Uncommitted changes",
+      content: currentContent,
+    });
+  }
+
+  return versions.reverse().slice(0, limit);
+}
+
+/**
+ * Every committed version of every guide as a change, newest first:
+ * `{stackId, stackName, guideId, title, hash, previousHash, commit, date,
+ * subject}`, where previousHash is null for the version that added the
+ * rule. `builtStacks` are buildStack() results.
+ */
+export function collectChanges(builtStacks) {
+  const changes = [];
+
+  for (const { data, versions } of builtStacks) {
+    for (const guide of data.guides) {
+      const guideVersions = versions.get(guide.id);
+      guideVersions.forEach((version, index) => {
+        if (!version.commit) return;
+        changes.push({
+          stackId: data.id,
+          stackName: data.name,
+          guideId: guide.id,
+          title: guide.title,
+          hash: version.hash,
+          previousHash: guideVersions[index + 1]?.hash || null,
+          commit: version.commit,
+          date: version.date,
+          subject: version.subject,
+        });
+      });
+    }
+  }
+
+  return changes.sort(
+    (a, b) =>
+      b.date.localeCompare(a.date) ||
+      a.stackId.localeCompare(b.stackId) ||
+      a.guideId.localeCompare(b.guideId)
+  );
+}
+
+function atomFeed(changes, site) {
+  const entries = changes.slice(0, FEED_LIMIT).map((change) => {
+    const url = `${site}/${pagePath(change.stackId, change.guideId)}`;
+    const action = change.previousHash ? "updated" : "added";
+    const summary = change.previousHash
+      ? `${change.subject} (${change.previousHash} → ${change.hash})`
+      : `${change.subject} (${change.hash})`;
+    return `  <entry>
+    <title>${escapeHtml(
+      `${change.stackName}: ${change.title} ${action}`
+    )}</title>
+    <id>${escapeHtml(`${url}#${change.hash}`)}</id>
+    <link href="${escapeHtml(url)}"/>
+    <updated>${change.date}</updated>
+    <summary>${escapeHtml(summary)}</summary>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Vibe Coding Rules: rule changes</title>
+  <id>${escapeHtml(`${site}/feed.xml`)}</id>
+  <link rel="self" href="${escapeHtml(`${site}/feed.xml`)}"/>
+  <link href="${escapeHtml(`${site}/`)}"/>
+  <updated>${changes[0]?.date || new Date(0).toISOString()}</updated>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+/**
+ * Write docs/data/history.json, every rule change (collectChanges()), and
+ * the Atom feed of the latest ones, docs/feed.xml. Returns the number of
+ * changes.
+ */
+export async function writeHistory(builtStacks) {
+  const changes = collectChanges(builtStacks);
+
+  await fs.mkdir(dataDir, { recursive: true });
+  await fs.writeFile(
+    path.join(dataDir, "history.json"),
+    JSON.stringify({ changes }, null, 2),
+    "utf-8"
+  );
+  await fs.writeFile(
+    path.join(repoRoot, "docs", "feed.xml"),
+    atomFeed(changes, await siteUrl()),
+    "utf-8"
+  );
+
+  return changes.length;
+}
@@ -0,0 +1,283 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { globSyntaxError } from "../../docs/lib/glob.js";
+import {
+  TemplateError,
+  parseVariables,
+  renderTemplate,
+  resolveValues,
+  undeclaredPlaceholders,
+} from "../../docs/lib/variables.js";
+import { FragmentError, resolveRule } from "./fragments.mjs";
+import {
+  FrontmatterError,
+  normalizeGlobs,
+  parseFrontmatter,
+} from "./frontmatter.mjs";
+import {
+  guideIdFromFile,
+  listRuleFiles,
+  repoRoot,
+  rulesDirectory,
+} from "./stacks.mjs";
+import { tagsProblem } from "./topics.mjs";
+
+// Frontmatter keys Cursor reads; anything else is dropped by Cursor
+export const KNOWN_KEYS = ["description", "globs", "alwaysApply"];
+// Keys the build reads and removes from the rules it writes
+const BUILD_KEYS = ["variables", "tags"];
+
+const finding = (severity, ruleId, filePath, line, message) => ({
+  severity,
+  ruleId,
+  filePath,
+  line,
+  message,
+});
+
+/**
+ * Check one .mdc file against the rule schema and Cursor's rule types:
+ * always-apply, glob-attached, agent-requested (description only) and
+ * manual. `filePath` is only used to label findings.
+ */
+export function lintRule(content, filePath) {
+  let parsed;
+  try {
+    parsed = parseFrontmatter(content, filePath);
+  } catch (error) {
+    if (!(error instanceof FrontmatterError)) throw error;
+    return [
+      finding(
+        "error",
+        "frontmatter-syntax",
+        filePath,
+        error.line,
+        error.reason
+      ),
+    ];
+  }
+
+  const { frontmatter, frontmatterRaw, body, lineOf } = parsed;
+  const findings = [];
+  const report = (severity, ruleId, keyPath, message) =>
+    findings.push(
+      finding(severity, ruleId, filePath, lineOf(keyPath), message)
+    );
+  // Body line numbers are relative to the body
+  const bodyStart = frontmatterRaw.split("\n").length - 1;
+
+  for (const key of Object.keys(frontmatter)) {
+    if (!KNOWN_KEYS.includes(key) && !BUILD_KEYS.includes(key)) {
+      report(
+        "warning",
+        "unknown-key",
+        [key],
+        `Unknown frontmatter key "${key}" is ignored by Cursor`
+      );
+    }
+  }
+
+  // Variables are checked, and the body rendered with their defaults
+  const { variables, problems } = parseVariables(
+    frontmatter.variables,
+    frontmatter
+  );
+  for (const { path: keyPath, message } of problems) {
+    report("error", "variables", keyPath, message);
+  }
+  if ("variables" in frontmatter && problems.length === 0) {
+    const { values } = resolveValues(variables);
+    try {
+      renderTemplate(body, variables, values);
+    } catch (error) {
+      if (!(error instanceof TemplateError)) throw error;
+      findings.push(
+        finding(
+          "error",
+          "template-syntax",
+          filePath,
+          bodyStart + error.line,
+          error.reason
+        )
+      );
+    }
+    for (const { name, line } of undeclaredPlaceholders(body, variables)) {
+      findings.push(
+        finding(
+          "warning",
+          "template-unknown-variable",
+          filePath,
+          bodyStart + line,
+          `{{${name}}} is not a declared variable, so it stays as it is`
+        )
+      );
+    }
+  }
+
+  if ("tags" in frontmatter) {
+    const problem = tagsProblem(frontmatter.tags);
+    if (problem) report("error", "tags", ["tags"], problem);
+  }
+
+  const { description, alwaysApply } = frontmatter;
+  const hasDescription =
+    typeof description === "string" && description.trim() !== "";
+
+  if (description !== undefined && !hasDescription) {
+    report(
+      "error",
+      "description-type",
+      ["description"],
+      "`description` must be a non-empty string"
+    );
+  }
+
+  if (alwaysApply !== undefined && typeof alwaysApply !== "boolean") {
+    report(
+      "error",
+      "always-apply-type",
+      ["alwaysApply"],
+      `\`alwaysApply\` must be true, false or omitted, got ${JSON.stringify(
+        alwaysApply
+      )}`
+    );
+  }
+
+  let globs = [];
+  let globsValid = true;
+  if ("globs" in frontmatter) {
+    const value = frontmatter.globs;
+    const entries = Array.isArray(value) ? value : [value];
+
+    if (
+      value !== null &&
+      !entries.every((entry) => typeof entry === "string")
+    ) {
+      globsValid = false;
+      report(
+        "error",
+        "globs-type",
+        ["globs"],
+        "`globs` must be a list of patterns or a comma-separated string"
+      );
+    } else {
+      globs = normalizeGlobs(value);
+
+      if (globs.length === 0) {
+        report(
+          "warning",
+          "globs-empty",
+          ["globs"],
+          "`globs` is empty; remove it or add patterns"
+        );
+      }
+
+      globs.forEach((glob) => {
+        const problem = globSyntaxError(glob);
+        if (!problem) return;
+        // Point at the list entry when globs is a list, else at the key
+        const index = Array.isArray(value) ? value.indexOf(glob) : -1;
+        report(
+          "error",
+          "glob-syntax",
+          index === -1 ? ["globs"] : ["globs", index],
+          `Invalid glob "${glob}": ${problem}`
+        );
+      });
+    }
+  }
+
+  if (alwaysApply === true && globs.length > 0) {
+    report(
+      "warning",
+      "always-apply-with-globs",
+      ["alwaysApply"],
+      "Rule is always applied, so its `globs` are ignored by Cursor"
+    );
+  }
+
+  if (
+    alwaysApply !== true &&
+    globsValid &&
+    globs.length === 0 &&
+    description === undefined
+  ) {
+    report(
+      "error",
+      "never-loaded",
+      [],
+      "Rule has no `globs`, no `description` and is not `alwaysApply`, so Cursor never loads it unless @-mentioned"
+    );
+  } else if (description === undefined) {
+    report("warning", "description-missing", [], "Missing `description`");
+  }
+
+  if (body.trim() === "") {
+    report("error", "empty-body", [], "Rule has no content");
+  }
+
+  return findings;
+}
+
+// Lint every rule of a stack, plus checks that span its files
+export async function lintStack(stack) {
+  const rulesDir = rulesDirectory(stack);
+  const findings = [];
+  const filesById = new Map();
+
+  for (const file of await listRuleFiles(stack)) {
+    const filePath = path.relative(repoRoot, path.join(rulesDir, file));
+    const content = await fs.readFile(path.join(rulesDir, file), "utf-8");
+    const id = guideIdFromFile(file);
+    filesById.set(id, [...(filesById.get(id) || []), filePath]);
+
+    // The rule is checked as it is built, with its fragments resolved;
+    // findings about its frontmatter may then point at the fragment's lines
+    let resolved = content;
+    try {
+      const rule = await resolveRule(content, filePath);
+      resolved = rule.frontmatterRaw + rule.body;
+    } catch (error) {
+      if (error instanceof FragmentError) {
+        findings.push(
+          finding("error", "fragment", error.filePath, error.line, error.reason)
+        );
+        continue;
+      }
+      // Invalid frontmatter in the rule itself is reported by lintRule()
+      if (!(error instanceof FrontmatterError)) throw error;
+      if (error.filePath !== filePath) {
+        findings.push(
+          finding(
+            "error",
+            "frontmatter-syntax",
+            error.filePath,
+            error.line,
+            error.reason
+          )
+        );
+        continue;
+      }
+    }
+    findings.push(...lintRule(resolved, filePath));
+  }
+
+  for (const [id, filePaths] of filesById) {
+    if (filePaths.length < 2) continue;
+    for (const filePath of filePaths) {
+      findings.push(
+        finding(
+          "error",
+          "duplicate-id",
+          filePath,
+          1,
+          `Guide id "${id}" is shared by ${filePaths
+            .map((other) => path.basename(other))
+            .join(", ")}`
+        )
+      );
+    }
+  }
+
+  return findings;
+}
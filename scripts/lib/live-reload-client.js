@@ -0,0 +1,87 @@
+// Live reload for `npm run dev`: injected into every page by the dev server
+// (scripts/serve.mjs --watch), never part of the published site. See
+// live-reload.mjs for the events.
+(() => {
+  const OVERLAY_ID = "live-reload-overlay";
+  let serverId = null;
+
+  // Tells the site not to register its service worker (see live-reload.mjs)
+  window.liveReload = true;
+
+  const escapeHtml = (text) =>
+    String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+
+  function showErrors(errors) {
+    document.getElementById(OVERLAY_ID)?.remove();
+    if (errors.length === 0) return;
+
+    const overlay = document.createElement("div");
+    overlay.id = OVERLAY_ID;
+    overlay.setAttribute("role", "alert");
+    overlay.style.cssText =
+      "position: fixed; inset: 0; z-index: 10000; overflow: auto; padding: 2rem; background: rgba(0, 0, 0, 0.92); color: #e0e0e0; font: 13px/1.6 'JetBrains Mono', monospace;";
+    overlay.innerHTML = `
+      <button type="button" aria-label="Dismiss" style="position: absolute; top: 1rem; right: 1.5rem; background: none; border: 0; color: inherit; font-size: 1.5rem; cursor: pointer;">&times;</button>
+      ${errors
+        .map(
+          (error) => `
+        <section style="margin-bottom: 2rem;">
+          <h2 style="color: #ff4444; font-size: 1rem; margin: 0 0 0.5rem;">${escapeHtml(
+            error.title
+          )}</h2>
+          <pre style="white-space: pre-wrap; margin: 0 0 0.5rem;">${escapeHtml(
+            error.message
+          )}</pre>
+          ${error.findings
+            .map(
+              (finding) =>
+                `<div><span style="color: #00ffd1;">${escapeHtml(
+                  finding.location
+                )}</span> ${escapeHtml(
+                  finding.message
+                )} <span style="color: #666;">(${escapeHtml(
+                  finding.ruleId
+                )})</span></div>`
+            )
+            .join("")}
+        </section>`
+        )
+        .join("")}
+      <p style="color: #666;">Fix the files and save; this overlay closes once the build succeeds.</p>`;
+    overlay
+      .querySelector("button")
+      .addEventListener("click", () => overlay.remove());
+    document.body.appendChild(overlay);
+  }
+
+  const events = new EventSource("/__dev/events");
+
+  events.addEventListener("hello", (event) => {
+    const data = JSON.parse(event.data);
+    // Reconnected to a restarted server: the page may be out of date
+    if (serverId && serverId !== data.serverId) {
+      location.reload();
+      return;
+    }
+    serverId = data.serverId;
+    showErrors(data.errors);
+  });
+
+  events.addEventListener("status", (event) => {
+    showErrors(JSON.parse(event.data).errors);
+  });
+
+  events.addEventListener("reload", () => location.reload());
+
+  // Keep the open stack or guide (and scroll position) when only data changed
+  events.addEventListener("data", () => {
+    if (typeof window.refreshGuidesData !== "function") {
+      location.reload();
+      return;
+    }
+    window.refreshGuidesData().catch(() => location.reload());
+  });
+})();
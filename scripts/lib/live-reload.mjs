@@ -0,0 +1,392 @@
+import { watch } from "fs";
+import { promises as fs } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { buildStack, writeGuidesData, writeSearchIndex } from "./build.mjs";
+import { FRAGMENTS_DIRECTORY } from "./fragments.mjs";
+import { writeHistory } from "./history.mjs";
+import { lintStack } from "./lint.mjs";
+import { writeOfflineManifest } from "./offline.mjs";
+import { PAGES_DIRECTORY, SITE_FILES, writePages } from "./pages.mjs";
+import {
+  STACK_MANIFEST,
+  discoverStacks,
+  repoRoot,
+  rulesDirectory,
+} from "./stacks.mjs";
+
+// Dev server side of live reload (`npm run dev`): watch the stacks and
+// docs/, rebuild only the stacks whose files changed and tell connected
+// browsers over Server-Sent Events. Browsers get:
+//
+//   hello   on connect: the server id (a new one means the server restarted)
+//           and the current errors
+//   data    guides were rebuilt; the page refreshes its data in place
+//   reload  a site file changed (or the stacks themselves); reload the page
+//   status  the current errors, shown as an overlay while there are any
+
+export const EVENTS_PATH = "/__dev/events";
+export const CLIENT_PATH = "/__dev/client.js";
+// The site's service worker would answer from its cache instead of serving
+// the rebuilt files; in its place the dev server sends one that removes
+// itself and reloads the pages it controlled
+const SERVICE_WORKER_PATH = "/sw.js";
+const SERVICE_WORKER_REMOVAL = `self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    self.registration
+      .unregister()
+      .then(() => self.clients.matchAll({ type: "window" }))
+      .then((clients) => clients.forEach((client) => client.navigate(client.url)))
+  );
+});
+`;
+
+const docsDir = path.join(repoRoot, "docs");
+const fragmentsDir = path.join(repoRoot, FRAGMENTS_DIRECTORY);
+const clientFile = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "live-reload-client.js"
+);
+
+// Editors write a file in several steps; wait for them to settle
+const DEBOUNCE_MS = 100;
+const KEEP_ALIVE_MS = 30000;
+
+// `directory` and its subdirectories, except those named in `skip`
+async function listDirectories(directory, skip = []) {
+  const directories = [directory];
+  for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+    if (entry.isDirectory() && !skip.includes(entry.name)) {
+      directories.push(
+        ...(await listDirectories(path.join(directory, entry.name)))
+      );
+    }
+  }
+  return directories;
+}
+
+export async function createLiveReload() {
+  const serverId = Date.now().toString(36);
+  const clientSource = await fs.readFile(clientFile, "utf-8");
+  const clients = new Set();
+
+  let stacks = [];
+  const builtStacks = new Map();
+  // Errors by stack id; "" holds errors that are not about one stack
+  const errors = new Map();
+
+  let watchers = [];
+  let pending = { all: false, reload: false, stackIds: new Set() };
+  let debounceTimer = null;
+  let queue = Promise.resolve();
+
+  function send(event, data, targets = clients) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const response of targets) response.write(message);
+  }
+
+  const currentErrors = () => [...errors.values()];
+
+  function lintFailure(stack, findings) {
+    return {
+      title: `Lint failed: ${stack.name}`,
+      message: `${findings.length} ${
+        findings.length === 1 ? "error" : "errors"
+      }; fix them and save to rebuild.`,
+      findings: findings.map((finding) => ({
+        location: `${finding.filePath}:${finding.line}`,
+        message: finding.message,
+        ruleId: finding.ruleId,
+      })),
+    };
+  }
+
+  function buildFailure(title, error) {
+    return { title, message: error.message, findings: [] };
+  }
+
+  // Rebuild `stackIds`, or rediscover and rebuild everything when null.
+  // A stack that fails lint or build, or goes over an error-level token
+  // budget, keeps its last good output.
+  async function rebuild(stackIds) {
+    const started = Date.now();
+
+    if (stackIds === null) {
+      try {
+        stacks = await discoverStacks();
+        errors.delete("");
+      } catch (error) {
+        errors.set("", buildFailure("Stack discovery failed", error));
+        console.error(`❌ ${error.message}`);
+        send("status", { errors: currentErrors() });
+        return false;
+      }
+
+      const ids = new Set(stacks.map((stack) => stack.id));
+      for (const id of [...builtStacks.keys(), ...errors.keys()]) {
+        if (id && !ids.has(id)) {
+          builtStacks.delete(id);
+          errors.delete(id);
+        }
+      }
+      await watchFiles();
+    }
+
+    const targets =
+      stackIds === null
+        ? stacks
+        : stacks.filter((stack) => stackIds.has(stack.id));
+    const rebuilt = [];
+
+    for (const stack of targets) {
+      try {
+        const lintErrors = (await lintStack(stack)).filter(
+          (finding) => finding.severity === "error"
+        );
+        if (lintErrors.length > 0) {
+          errors.set(stack.id, lintFailure(stack, lintErrors));
+          continue;
+        }
+
+        const built = await buildStack(stack);
+        if (built.budget?.level === "error") {
+          errors.set(stack.id, {
+            title: `Over budget: ${stack.name}`,
+            message: built.budget.message,
+            findings: [],
+          });
+          continue;
+        }
+        if (built.budget) console.warn(`⚠️  ${built.budget.message}`);
+        builtStacks.set(stack.id, built);
+        errors.delete(stack.id);
+        rebuilt.push(stack.id);
+      } catch (error) {
+        errors.set(
+          stack.id,
+          buildFailure(`Build failed: ${stack.name}`, error)
+        );
+      }
+    }
+
+    if (rebuilt.length > 0) {
+      const ordered = stacks
+        .map((stack) => builtStacks.get(stack.id))
+        .filter(Boolean);
+      await writeGuidesData(ordered);
+      await writeSearchIndex(ordered);
+      await writePages(ordered);
+      await writeHistory(ordered);
+      await writeOfflineManifest();
+
+      console.log(
+        `🔄 Rebuilt ${rebuilt.join(", ")} in ${Date.now() - started}ms`
+      );
+    }
+
+    for (const error of currentErrors()) {
+      console.error(`❌ ${error.title}: ${error.message}`);
+      for (const finding of error.findings) {
+        console.error(`   ${finding.location}  ${finding.message}`);
+      }
+    }
+
+    send("status", { errors: currentErrors() });
+    return rebuilt.length > 0;
+  }
+
+  function schedule(change) {
+    if (change.all) pending.all = true;
+    if (change.reload) pending.reload = true;
+    if (change.stackId) pending.stackIds.add(change.stackId);
+
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      const { all, reload, stackIds } = pending;
+      pending = { all: false, reload: false, stackIds: new Set() };
+
+      queue = queue
+        .then(async () => {
+          if (all) {
+            // The set of stacks may have changed; the page has to start over
+            await rebuild(null);
+            send("reload", {});
+            return;
+          }
+          const rebuilt = stackIds.size > 0 ? await rebuild(stackIds) : false;
+          if (reload) {
+            send("reload", {});
+          } else if (rebuilt) {
+            send("data", { stacks: [...stackIds] });
+          }
+        })
+        .catch((error) => {
+          console.error(`❌ Live reload failed: ${error.message}`);
+        });
+    }, DEBOUNCE_MS);
+  }
+
+  function closeWatchers() {
+    for (const watcher of watchers) watcher.close();
+    watchers = [];
+  }
+
+  // Directories are watched one by one rather than recursively: editors
+  // that save by replacing a file would otherwise lose its watcher on Linux
+  async function watchFiles() {
+    closeWatchers();
+
+    for (const stack of stacks) {
+      watchers.push(
+        watch(path.join(repoRoot, stack.directory), (eventType, fileName) => {
+          if (fileName === STACK_MANIFEST) {
+            schedule({ all: true });
+          } else if (fileName === "README.md") {
+            schedule({ stackId: stack.id });
+          }
+        }),
+        watch(rulesDirectory(stack), (eventType, fileName) => {
+          if (fileName && fileName.endsWith(".mdc")) {
+            schedule({ stackId: stack.id });
+          }
+        })
+      );
+    }
+
+    // Shared fragments: rebuild the stacks built from one, and those that
+    // failed (maybe for want of it)
+    let fragmentDirectories = [];
+    try {
+      fragmentDirectories = await listDirectories(fragmentsDir);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    for (const directory of fragmentDirectories) {
+      watchers.push(
+        watch(directory, (eventType, fileName) => {
+          if (!fileName) return;
+          if (!fileName.endsWith(".mdc")) {
+            // A new subdirectory needs a watcher of its own
+            schedule({ all: true });
+            return;
+          }
+          const name = path
+            .relative(fragmentsDir, path.join(directory, fileName))
+            .replace(/\.mdc$/, "")
+            .split(path.sep)
+            .join("/");
+          for (const stack of stacks) {
+            const built = builtStacks.get(stack.id);
+            if (
+              errors.has(stack.id) ||
+              built?.stack.guides.some((guide) =>
+                guide.fragments.includes(name)
+              )
+            ) {
+              schedule({ stackId: stack.id });
+            }
+          }
+        })
+      );
+    }
+
+    // Site files; docs/data, the static pages and the sitemap are what the
+    // rebuilds write
+    const generated = new Set([PAGES_DIRECTORY, ...SITE_FILES]);
+    for (const directory of await listDirectories(docsDir, [
+      "data",
+      PAGES_DIRECTORY,
+    ])) {
+      watchers.push(
+        watch(directory, (eventType, fileName) => {
+          if (!fileName) return;
+          if (directory === docsDir && generated.has(fileName)) return;
+          schedule({ reload: true });
+        })
+      );
+    }
+
+    // New or removed stack directories
+    const knownDirectories = new Set(stacks.map((stack) => stack.directory));
+    watchers.push(
+      watch(repoRoot, (eventType, fileName) => {
+        if (!fileName || fileName.startsWith(".")) return;
+        if (eventType === "rename" && !knownDirectories.has(fileName)) {
+          fs.stat(path.join(repoRoot, fileName))
+            .then((stats) => {
+              if (stats.isDirectory()) schedule({ all: true });
+            })
+            .catch(() => {});
+        } else if (eventType === "rename") {
+          schedule({ all: true });
+        }
+      })
+    );
+  }
+
+  return {
+    // Build everything once and start watching; resolves when done
+    async start() {
+      await rebuild(null);
+    },
+
+    // Serve the event stream, the client script and the service worker
+    // removal; false for other URLs
+    handleRequest(request, response) {
+      const { pathname } = new URL(request.url, "http://localhost");
+
+      if (pathname === CLIENT_PATH) {
+        response.writeHead(200, {
+          "Content-Type": "application/javascript",
+          "Cache-Control": "no-cache",
+        });
+        response.end(clientSource);
+        return true;
+      }
+
+      if (pathname === SERVICE_WORKER_PATH) {
+        response.writeHead(200, {
+          "Content-Type": "application/javascript",
+          "Cache-Control": "no-cache",
+        });
+        response.end(SERVICE_WORKER_REMOVAL);
+        return true;
+      }
+
+      if (pathname !== EVENTS_PATH) return false;
+
+      response.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      send("hello", { serverId, errors: currentErrors() }, [response]);
+
+      const keepAlive = setInterval(
+        () => response.write(": keep-alive\n\n"),
+        KEEP_ALIVE_MS
+      );
+      clients.add(response);
+      request.on("close", () => {
+        clearInterval(keepAlive);
+        clients.delete(response);
+      });
+      return true;
+    },
+
+    // Load the client script from every HTML page
+    injectClient(html) {
+      const tag = `<script src="${CLIENT_PATH}"></script>`;
+      return html.includes("</body>")
+        ? html.replace("</body>", `${tag}\n</body>`)
+        : html + tag;
+    },
+
+    close() {
+      clearTimeout(debounceTimer);
+      closeWatchers();
+      for (const response of clients) response.end();
+    },
+  };
+}
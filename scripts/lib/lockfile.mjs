@@ -0,0 +1,102 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+// The lockfile `vibe-rules add` keeps in a project's .cursor/rules: which
+// stack and guide each installed file came from, and the version (hash) it
+// had, so `vibe-rules update` can tell local edits from upstream changes.
+//
+//   {
+//     "version": 1,
+//     "stacks": { "python": { "allGuides": true } },
+//     "files": {
+//       "python-code-style-guide.mdc": {
+//         "stack": "python",
+//         "guide": "python-code-style-guide",
+//         "hash": "dd4b14e6b281"
+//       }
+//     }
+//   }
+//
+// `allGuides` is false when only some guides were added (--guides); guides
+// new upstream are only added to stacks installed in full.
+
+export const LOCKFILE_NAME = ".vibe-rules.lock";
+const LOCKFILE_VERSION = 1;
+
+export class LockfileError extends Error {}
+
+export const lockfilePath = (rulesDir) => path.join(rulesDir, LOCKFILE_NAME);
+
+const emptyLockfile = () => ({
+  version: LOCKFILE_VERSION,
+  stacks: {},
+  files: {},
+});
+
+// The lockfile in `rulesDir`, or null when there is none
+export async function readLockfile(rulesDir) {
+  const filePath = lockfilePath(rulesDir);
+  let text;
+  try {
+    text = await fs.readFile(filePath, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+
+  let lockfile;
+  try {
+    lockfile = JSON.parse(text);
+  } catch (error) {
+    throw new LockfileError(`${filePath}: invalid JSON (${error.message})`);
+  }
+  if (
+    lockfile?.version !== LOCKFILE_VERSION ||
+    typeof lockfile.files !== "object" ||
+    typeof lockfile.stacks !== "object"
+  ) {
+    throw new LockfileError(
+      `${filePath}: not a version ${LOCKFILE_VERSION} vibe-rules lockfile`
+    );
+  }
+  return lockfile;
+}
+
+export async function readLockfileOrEmpty(rulesDir) {
+  return (await readLockfile(rulesDir)) || emptyLockfile();
+}
+
+// Keys sorted, so the file only changes where an entry did
+const sortedObject = (object) =>
+  Object.fromEntries(
+    Object.entries(object).sort(([a], [b]) => a.localeCompare(b))
+  );
+
+/**
+ * Write `lockfile` to `rulesDir`; stacks without files are dropped, and the
+ * file is deleted when no files are left.
+ */
+export async function writeLockfile(rulesDir, lockfile) {
+  const installedStacks = new Set(
+    Object.values(lockfile.files).map((entry) => entry.stack)
+  );
+  const stacks = Object.fromEntries(
+    Object.entries(lockfile.stacks).filter(([id]) => installedStacks.has(id))
+  );
+
+  if (Object.keys(lockfile.files).length === 0) {
+    await fs.rm(lockfilePath(rulesDir), { force: true });
+    return;
+  }
+
+  const output = {
+    version: LOCKFILE_VERSION,
+    stacks: sortedObject(stacks),
+    files: sortedObject(lockfile.files),
+  };
+  await fs.writeFile(
+    lockfilePath(rulesDir),
+    JSON.stringify(output, null, 2) + "\n",
+    "utf-8"
+  );
+}
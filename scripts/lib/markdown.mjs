@@ -0,0 +1,222 @@
+import MarkdownIt from "markdown-it";
+import { highlightCode } from "./highlight.mjs";
+
+// Schemes a rendered link or image may point to; relative URLs and #anchors
+// are always allowed
+const ALLOWED_SCHEMES = ["http:", "https:", "mailto:"];
+
+export function isAllowedUrl(url) {
+  const trimmed = url.trim();
+  // Browsers ignore tabs and newlines inside schemes ("java\tscript:")
+  const scheme = trimmed
+    .replace(/[\u0000- ]/g, "")
+    .match(/^([a-z][a-z0-9+.-]*:)/i);
+  return !scheme || ALLOWED_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+const TASK_PATTERN = /^\[([ xX])\]\s+/;
+
+// GFM task lists: `- [ ] item` / `- [x] item` become disabled checkboxes
+function taskListPlugin(md) {
+  md.core.ruler.after("inline", "task_lists", (state) => {
+    const tokens = state.tokens;
+
+    for (let index = 2; index < tokens.length; index++) {
+      const inline = tokens[index];
+      if (
+        inline.type !== "inline" ||
+        tokens[index - 1].type !== "paragraph_open" ||
+        tokens[index - 2].type !== "list_item_open"
+      ) {
+        continue;
+      }
+
+      const [firstChild] = inline.children;
+      const match =
+        firstChild?.type === "text" && firstChild.content.match(TASK_PATTERN);
+      if (!match) continue;
+
+      firstChild.content = firstChild.content.slice(match[0].length);
+      const checkbox = new state.Token("html_inline", "", 0);
+      checkbox.content = `<input type="checkbox" class="task-list-checkbox" disabled${
+        match[1] === " " ? "" : " checked"
+      }> `;
+      inline.children.unshift(checkbox);
+
+      tokens[index - 2].attrJoin("class", "task-list-item");
+
+      // Mark the enclosing list so its bullets can be hidden
+      for (let parent = index - 3; parent >= 0; parent--) {
+        const token = tokens[parent];
+        if (
+          (token.type === "bullet_list_open" ||
+            token.type === "ordered_list_open") &&
+          token.level === tokens[index - 2].level - 1
+        ) {
+          if (!token.attrGet("class"))
+            token.attrSet("class", "contains-task-list");
+          break;
+        }
+      }
+    }
+  });
+}
+
+// External links open in a new tab without handing over window.opener
+function externalLinksPlugin(md) {
+  const defaultRender =
+    md.renderer.rules.link_open ||
+    ((tokens, index, options, env, self) =>
+      self.renderToken(tokens, index, options));
+
+  md.renderer.rules.link_open = (tokens, index, options, env, self) => {
+    const href = tokens[index].attrGet("href") || "";
+    if (/^(https?:)?\/\//i.test(href)) {
+      tokens[index].attrSet("target", "_blank");
+      tokens[index].attrSet("rel", "noopener noreferrer");
+    }
+    return defaultRender(tokens, index, options, env, self);
+  };
+}
+
+// Code blocks in a `.code-block` wrapper, which the site adds a copy button
+// to. Fences are labeled with their language and highlighted when it is one
+// highlight.mjs knows.
+function codeBlocksPlugin(md) {
+  const escape = md.utils.escapeHtml;
+
+  md.renderer.rules.fence = (tokens, index) => {
+    const { info, content } = tokens[index];
+    const language = md.utils.unescapeAll(info).trim().split(/\s+/)[0];
+    const highlighted = highlightCode(content, language);
+    const label = language
+      ? `<span class="code-language">${escape(language)}</span>`
+      : "";
+    const code = `<code${
+      language
+        ? ` class="${highlighted ? "hljs " : ""}language-${escape(language)}"`
+        : ""
+    }>${highlighted ?? escape(content)}</code>`;
+    return `<div class="code-block">${label}<pre>${code}</pre></div>\n`;
+  };
+
+  md.renderer.rules.code_block = (tokens, index) =>
+    `<div class="code-block"><pre><code>${escape(
+      tokens[index].content
+    )}</code></pre></div>\n`;
+}
+
+// Plain text of an inline token: what a reader sees, without markup
+function inlineText(token) {
+  return (token.children || [])
+    .map((child) => {
+      if (child.type === "softbreak" || child.type === "hardbreak") return " ";
+      if (child.type === "html_inline") return "";
+      if (child.children?.length) return inlineText(child);
+      return child.content;
+    })
+    .join("");
+}
+
+// GitHub-style heading slug: "Error Handling (Retries)" -> "error-handling-retries"
+export function slugifyHeading(text) {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+    .replace(/\s+/g, "-");
+}
+
+// Stable `id`s on every heading, deduplicated like GitHub (`setup`, `setup-1`)
+function headingAnchorsPlugin(md) {
+  md.core.ruler.push("heading_anchors", (state) => {
+    const usedIds = new Map();
+
+    state.tokens.forEach((token, index) => {
+      if (token.type !== "heading_open") return;
+
+      const base =
+        slugifyHeading(inlineText(state.tokens[index + 1])) || "section";
+      const count = usedIds.get(base) || 0;
+      usedIds.set(base, count + 1);
+      token.attrSet("id", count === 0 ? base : `${base}-${count}`);
+    });
+  });
+}
+
+/**
+ * Split parsed markdown into sections at every heading. The first section
+ * (id "") holds any text before the first heading. Section ids match the
+ * heading ids in the rendered HTML, so the site can scroll to them.
+ */
+function extractSections(tokens) {
+  const sections = [{ id: "", heading: "", level: 0, text: "" }];
+  const textParts = [[]];
+
+  tokens.forEach((token, index) => {
+    if (token.type === "heading_open") {
+      sections.push({
+        id: token.attrGet("id"),
+        heading: inlineText(tokens[index + 1]),
+        level: Number(token.tag.slice(1)),
+        text: "",
+      });
+      textParts.push([]);
+      return;
+    }
+
+    const isHeadingText =
+      token.type === "inline" && tokens[index - 1]?.type === "heading_open";
+
+    if (token.type === "inline" && !isHeadingText) {
+      textParts[textParts.length - 1].push(inlineText(token));
+    } else if (token.type === "fence" || token.type === "code_block") {
+      textParts[textParts.length - 1].push(token.content);
+    }
+  });
+
+  sections.forEach((section, index) => {
+    section.text = textParts[index].join(" ").replace(/\s+/g, " ").trim();
+  });
+
+  return sections.filter((section) => section.id || section.text);
+}
+
+/**
+ * CommonMark + GFM (tables, strikethrough, autolinks, task lists) renderer.
+ * Raw HTML in the source is escaped rather than passed through, and links
+ * and images are limited to http(s), mailto and relative URLs, so the output
+ * is safe to assign to innerHTML.
+ */
+export function createMarkdownRenderer() {
+  const md = new MarkdownIt("default", {
+    html: false,
+    linkify: true,
+    typographer: false,
+  });
+
+  md.validateLink = isAllowedUrl;
+  md.use(taskListPlugin);
+  md.use(headingAnchorsPlugin);
+  md.use(externalLinksPlugin);
+  md.use(codeBlocksPlugin);
+
+  return md;
+}
+
+const defaultRenderer = createMarkdownRenderer();
+
+export function renderMarkdown(markdown) {
+  if (!markdown) return "";
+  return defaultRenderer.render(markdown);
+}
+
+// Rendered HTML plus the heading sections it contains
+export function renderMarkdownWithSections(markdown) {
+  const env = {};
+  const tokens = defaultRenderer.parse(markdown || "", env);
+  return {
+    html: defaultRenderer.renderer.render(tokens, defaultRenderer.options, env),
+    sections: extractSections(tokens),
+  };
+}
@@ -0,0 +1,102 @@
+import { diffLines } from "../../docs/lib/diff.js";
+
+// Three-way merge of a rule: the version a project installed (the original),
+// the project's copy with its local edits, and the new upstream version. The
+// same rules as diff3 and git: a change on one side only is taken, the same
+// change on both sides is taken once, and different changes to the same
+// lines are a conflict.
+
+// For each line of `before`, the index of the same line in `after`, or -1
+function lineMatches(before, after) {
+  const matches = [];
+  let afterIndex = 0;
+  for (const change of diffLines(before, after)) {
+    if (change.type === "same") matches.push(afterIndex++);
+    else if (change.type === "removed") matches.push(-1);
+    else afterIndex++;
+  }
+  return matches;
+}
+
+const sameLines = (a, b) =>
+  a.length === b.length && a.every((line, index) => line === b[index]);
+
+/**
+ * Merge `local` and `upstream`, both edited from `original`. Returns
+ * `{content, conflicts}`: conflicting regions are written between git-style
+ * markers (local, then the original, then upstream) labelled with
+ * `labels.local`, `labels.original` and `labels.upstream`, and counted.
+ */
+export function mergeThreeWay(original, local, upstream, labels) {
+  const base = original.split("\n");
+  const ours = local.split("\n");
+  const theirs = upstream.split("\n");
+  const oursMatches = lineMatches(original, local);
+  const theirsMatches = lineMatches(original, upstream);
+
+  const output = [];
+  let conflicts = 0;
+  let baseIndex = 0;
+  let oursIndex = 0;
+  let theirsIndex = 0;
+
+  const resolve = (baseEnd, oursEnd, theirsEnd) => {
+    const baseChunk = base.slice(baseIndex, baseEnd);
+    const oursChunk = ours.slice(oursIndex, oursEnd);
+    const theirsChunk = theirs.slice(theirsIndex, theirsEnd);
+
+    if (sameLines(oursChunk, baseChunk)) {
+      output.push(...theirsChunk);
+    } else if (
+      sameLines(theirsChunk, baseChunk) ||
+      sameLines(oursChunk, theirsChunk)
+    ) {
+      output.push(...oursChunk);
+    } else {
+      conflicts++;
+      output.push(
+        `<<<<<<< ${labels.local}`,
+        ...oursChunk,
+        `||||||| ${labels.original}`,
+        ...baseChunk,
+        "=======",
+        ...theirsChunk,
+        `>>>>>>> ${labels.upstream}`
+      );
+    }
+  };
+
+  while (baseIndex < base.length) {
+    // Lines unchanged on both sides are kept as they are
+    if (
+      oursMatches[baseIndex] === oursIndex &&
+      theirsMatches[baseIndex] === theirsIndex
+    ) {
+      output.push(base[baseIndex]);
+      baseIndex++;
+      oursIndex++;
+      theirsIndex++;
+      continue;
+    }
+
+    // Otherwise everything up to the next line both sides kept changed
+    let next = baseIndex;
+    while (
+      next < base.length &&
+      (oursMatches[next] === -1 || theirsMatches[next] === -1)
+    ) {
+      next++;
+    }
+    if (next === base.length) break;
+
+    resolve(next, oursMatches[next], theirsMatches[next]);
+    baseIndex = next;
+    oursIndex = oursMatches[next];
+    theirsIndex = theirsMatches[next];
+  }
+
+  // The rest of each version after the last line both sides kept
+  resolve(base.length, ours.length, theirs.length);
+
+  return { content: output.join("\n"), conflicts };
+}
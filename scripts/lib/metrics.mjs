@@ -0,0 +1,68 @@
+import { encode } from "gpt-tokenizer/encoding/o200k_base";
+import { ruleMode } from "../../docs/lib/export.js";
+
+// What a rule costs in a chat: its size, and the tokens it adds to the
+// context. Tokens are counted with the o200k_base encoding, bundled with
+// gpt-tokenizer so the build stays offline; other models tokenize
+// differently, so treat the counts as estimates.
+
+const emptyTotals = () => ({ guides: 0, characters: 0, words: 0, tokens: 0 });
+
+// `text` is a guide's body, without its frontmatter
+export function guideMetrics(text) {
+  const words = text.match(/\S+/g);
+  return {
+    characters: text.length,
+    words: words ? words.length : 0,
+    // Rules are plain text: "<|endoftext|>" in one is not a special token
+    tokens: encode(text, { disallowedSpecial: new Set() }).length,
+  };
+}
+
+/**
+ * Roll guides (each with `metrics` from guideMetrics()) up into the two
+ * costs of using a stack: `always`, the always-apply rules that go into
+ * every chat, and `worstCase`, those plus every glob rule, as when the
+ * files in the chat match all of them. Agent-requested and manual rules
+ * are left out of both.
+ */
+export function stackMetrics(guides) {
+  const always = emptyTotals();
+  const worstCase = emptyTotals();
+
+  for (const guide of guides) {
+    const mode = ruleMode(guide);
+    const totals =
+      mode === "always"
+        ? [always, worstCase]
+        : mode === "globs"
+        ? [worstCase]
+        : [];
+    for (const total of totals) {
+      total.guides++;
+      total.characters += guide.metrics.characters;
+      total.words += guide.metrics.words;
+      total.tokens += guide.metrics.tokens;
+    }
+  }
+
+  return { always, worstCase };
+}
+
+/**
+ * Check a stack's always-apply tokens against the `budget` in its
+ * stack.json. Returns null within budget (or without one), otherwise
+ * `{level, message}` where level is "warning" or "error".
+ */
+export function checkBudget(stack, metrics) {
+  if (!stack.budget) return null;
+
+  const { alwaysApplyTokens, level } = stack.budget;
+  const tokens = metrics.always.tokens;
+  if (tokens <= alwaysApplyTokens) return null;
+
+  return {
+    level,
+    message: `${stack.name}: always-apply rules are ~${tokens} tokens, over the budget of ${alwaysApplyTokens} (${stack.directory}/stack.json)`,
+  };
+}
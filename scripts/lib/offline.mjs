@@ -0,0 +1,71 @@
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { repoRoot } from "./stacks.mjs";
+
+// What the service worker (docs/sw.js) keeps for offline use: the page, its
+// styles, scripts, fonts and icons, and the rule data. Listed in
+// docs/data/offline.json with a version that changes whenever one of the
+// files does, which is how the worker notices a new build:
+//
+//   { "version": "3f9c…", "generatedAt": "…", "files": ["./", "app.js", …] }
+
+const docsDir = path.join(repoRoot, "docs");
+export const OFFLINE_MANIFEST = "data/offline.json";
+
+// Relative to docs/; "./" is the page itself (index.html)
+const SHELL_FILES = ["styles.css", "app.js", "manifest.webmanifest"];
+const SHELL_DIRECTORIES = ["lib", "fonts", "icons"];
+const DATA_FILES = ["data/guides.json", "data/search-index.json"];
+const DATA_DIRECTORIES = ["data/content"];
+// Licenses and READMEs next to the assets are not needed by the site
+const CACHED_EXTENSIONS = [".js", ".css", ".json", ".woff2", ".png"];
+
+// Files under `directory` (relative to docs/), with forward slashes
+async function listFiles(directory) {
+  const files = [];
+  for (const entry of await fs.readdir(path.join(docsDir, directory), {
+    withFileTypes: true,
+  })) {
+    const file = `${directory}/${entry.name}`;
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(file)));
+    } else if (CACHED_EXTENSIONS.includes(path.extname(entry.name))) {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+/**
+ * Write docs/data/offline.json for what is in docs/ now; run after the rest
+ * of the build. Returns the number of files listed.
+ */
+export async function writeOfflineManifest() {
+  const files = [...SHELL_FILES, ...DATA_FILES];
+  for (const directory of [...SHELL_DIRECTORIES, ...DATA_DIRECTORIES]) {
+    files.push(...(await listFiles(directory)));
+  }
+  files.sort();
+
+  const hash = createHash("sha256");
+  for (const file of ["index.html", ...files]) {
+    hash.update(`${file}\0`);
+    hash.update(await fs.readFile(path.join(docsDir, file)));
+  }
+  const { generatedAt } = JSON.parse(
+    await fs.readFile(path.join(docsDir, "data", "guides.json"), "utf-8")
+  );
+
+  const manifest = {
+    version: hash.digest("hex").slice(0, 12),
+    generatedAt,
+    files: ["./", ...files],
+  };
+  await fs.writeFile(
+    path.join(docsDir, OFFLINE_MANIFEST),
+    JSON.stringify(manifest, null, 2),
+    "utf-8"
+  );
+  return manifest.files.length;
+}
@@ -0,0 +1,274 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { buildMdcContent, mdcFileName } from "../../docs/lib/mdc.js";
+import {
+  escapeHtml,
+  guideIntroHtml,
+  guideItemHtml,
+  pagePath,
+  stackIntroHtml,
+} from "../../docs/lib/views.js";
+import { repoRoot } from "./stacks.mjs";
+
+// Static HTML for every stack and guide, readable without JavaScript and
+// indexable by search engines, plus the sitemap that lists them. The pages
+// use the site's stylesheet and the modal's markup, so they look like the
+// modal laid out as a page.
+
+const docsDir = path.join(repoRoot, "docs");
+// Everything the pages write, relative to docs/; none of it is committed
+export const PAGES_DIRECTORY = "stacks";
+export const SITE_FILES = ["sitemap.xml", "robots.txt", "feed.xml"];
+
+const SITE_NAME = "Vibe Coding Rules";
+
+/**
+ * The site's public URL, without a trailing slash, for canonical links and
+ * the sitemap: $SITE_URL, else the custom domain in docs/CNAME.
+ */
+export async function siteUrl() {
+  if (process.env.SITE_URL) return process.env.SITE_URL.replace(/\/+$/, "");
+
+  let domain = "";
+  try {
+    domain = (await fs.readFile(path.join(docsDir, "CNAME"), "utf-8")).trim();
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  if (!domain) {
+    throw new Error(
+      "No site URL for canonical links: set SITE_URL or add docs/CNAME"
+    );
+  }
+  return `https://${domain}`;
+}
+
+// `root` is the relative path from the page back to docs/
+function pageHtml({
+  title,
+  description,
+  canonical,
+  root,
+  heading,
+  actions,
+  body,
+}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <meta name="description" content="${escapeHtml(description)}">
+    <link rel="canonical" href="${escapeHtml(canonical)}">
+    <link rel="alternate" type="application/atom+xml" title="${SITE_NAME}: rule changes" href="${root}feed.xml">
+    <link rel="icon" type="image/png" href="/icons/favicon.png">
+    <link rel="apple-touch-icon" href="/icons/favicon.png">
+    <link rel="manifest" href="${root}manifest.webmanifest">
+    <meta name="theme-color" content="#000000">
+    <link rel="stylesheet" href="${root}styles.css">
+</head>
+
+<body>
+    <header class="header">
+        <div class="container">
+            <div class="header-content">
+                <a href="${root}"><img src="${root}icons/cover.png" alt="${SITE_NAME}" class="cover-image" /></a>
+                <p class="tagline">By <a href="https://dark-labs.co" target="_blank">DARK-labs</a></p>
+            </div>
+        </div>
+    </header>
+
+    <main class="main">
+        <div class="container">
+            <article class="modal-content page">
+                <div class="modal-header">
+                    <h1>${heading}</h1>
+                    <div class="modal-actions">${actions}</div>
+                </div>
+                <div class="modal-body">
+${body}
+                </div>
+            </article>
+        </div>
+    </main>
+
+    <footer class="footer">
+        <div class="container">
+            <p>${SITE_NAME} - Maintain consistency, quality, and best practices across all projects</p>
+            <p><a href="${root}feed.xml">Subscribe to rule changes (Atom feed)</a></p>
+        </div>
+    </footer>
+</body>
+
+</html>
+`;
+}
+
+const breadcrumbs = (links) =>
+  `<nav class="page-breadcrumbs" aria-label="Breadcrumbs">${links
+    .map(([href, text]) => `<a href="${href}">${escapeHtml(text)}</a>`)
+    .join(" / ")}</nav>`;
+
+const actionLink = (href, text, attributes = "") =>
+  `<a class="action-btn" href="${escapeHtml(
+    href
+  )}"${attributes}><span class="action-text">${escapeHtml(text)}</span></a>`;
+
+function stackPage(built, site) {
+  const { data, html } = built;
+  const root = "../../";
+
+  let body = breadcrumbs([
+    [root, SITE_NAME],
+    ["../", "Stacks"],
+  ]);
+  body += stackIntroHtml(data);
+  if (html.readme) {
+    body += `<div class="stack-readme" style="margin-top: 2rem;">${html.readme}</div>`;
+  }
+  body += `<div style="margin-top: 2rem;">`;
+  body += `<h2>All Guidelines (${data.guides.length})</h2>`;
+  body += `<div class="guides-grid" style="margin-top: 1rem;">`;
+  for (const guide of data.guides) {
+    body += guideItemHtml(
+      data.id,
+      guide,
+      `${encodeURIComponent(guide.id)}.html`
+    );
+  }
+  body += `</div></div>`;
+
+  return pageHtml({
+    title: `${data.name} - ${SITE_NAME}`,
+    description: data.summary,
+    canonical: `${site}/${pagePath(data.id)}`,
+    root,
+    heading: `<img src="${root}${escapeHtml(
+      data.icon
+    )}" alt="" class="modal-icon" /> ${escapeHtml(data.name)}`,
+    actions: actionLink(
+      `${root}#/${encodeURIComponent(data.id)}`,
+      "Open in App"
+    ),
+    body,
+  });
+}
+
+function guidePage(built, guide, site) {
+  const { data, html } = built;
+  const root = "../../";
+
+  let body = breadcrumbs([
+    [root, SITE_NAME],
+    ["../", "Stacks"],
+    ["./", data.name],
+  ]);
+  body += guideIntroHtml(guide);
+  body += html.guides.get(guide.id);
+
+  return pageHtml({
+    title: `${guide.title} - ${data.name} - ${SITE_NAME}`,
+    description:
+      guide.frontmatter.description ||
+      `${guide.title}: a Cursor rule for ${data.name} projects.`,
+    canonical: `${site}/${pagePath(data.id, guide.id)}`,
+    root,
+    heading: `<img src="${root}${escapeHtml(
+      data.icon
+    )}" alt="" class="modal-icon" /> ${escapeHtml(guide.title)}`,
+    actions:
+      actionLink(
+        `${encodeURIComponent(guide.id)}.mdc`,
+        "Download .mdc",
+        ` download="${escapeHtml(mdcFileName(guide))}"`
+      ) +
+      actionLink(
+        `${root}#/${encodeURIComponent(data.id)}/${encodeURIComponent(
+          guide.id
+        )}`,
+        "Open in App"
+      ),
+    body,
+  });
+}
+
+function stacksIndexPage(builtStacks, site) {
+  const root = "../";
+
+  let body = breadcrumbs([[root, SITE_NAME]]);
+  body += `<div class="guides-grid">`;
+  for (const { data } of builtStacks) {
+    body += `<a href="${encodeURIComponent(
+      data.id
+    )}/" class="guide-item">${escapeHtml(data.name)} (${
+      data.guides.length
+    } guides)</a>`;
+  }
+  body += `</div>`;
+
+  return pageHtml({
+    title: `Stacks - ${SITE_NAME}`,
+    description: `Cursor rules for ${builtStacks
+      .map(({ data }) => data.name)
+      .join(", ")}.`,
+    canonical: `${site}/${PAGES_DIRECTORY}/`,
+    root,
+    heading: "Technology Stacks",
+    actions: actionLink(root, "Open in App"),
+    body,
+  });
+}
+
+function sitemap(urls) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map((url) => `  <url><loc>${escapeHtml(url)}</loc></url>`).join("\n")}
+</urlset>
+`;
+}
+
+/**
+ * Rewrite docs/stacks from scratch: an index of the stacks, a page per
+ * stack (stacks/<stack>/index.html) and per guide (stacks/<stack>/<guide>.html)
+ * with the raw rule next to it (<guide>.mdc), and docs/sitemap.xml and
+ * docs/robots.txt. `builtStacks` are buildStack() results, in display
+ * order. Returns the number of HTML pages.
+ */
+export async function writePages(builtStacks) {
+  const site = await siteUrl();
+  const pagesDir = path.join(docsDir, PAGES_DIRECTORY);
+  await fs.rm(pagesDir, { recursive: true, force: true });
+
+  const files = new Map([["index.html", stacksIndexPage(builtStacks, site)]]);
+  const urls = [`${site}/`, `${site}/${PAGES_DIRECTORY}/`];
+
+  for (const built of builtStacks) {
+    const stackDir = built.data.id;
+    files.set(`${stackDir}/index.html`, stackPage(built, site));
+    urls.push(`${site}/${pagePath(built.data.id)}`);
+
+    for (const guide of built.data.guides) {
+      const source = built.stack.guides.find((g) => g.id === guide.id);
+      files.set(`${stackDir}/${guide.id}.html`, guidePage(built, guide, site));
+      files.set(`${stackDir}/${guide.id}.mdc`, buildMdcContent(source));
+      urls.push(`${site}/${pagePath(built.data.id, guide.id)}`);
+    }
+  }
+
+  for (const [file, content] of files) {
+    const filePath = path.join(pagesDir, file);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, "utf-8");
+  }
+
+  await fs.writeFile(path.join(docsDir, "sitemap.xml"), sitemap(urls), "utf-8");
+  await fs.writeFile(
+    path.join(docsDir, "robots.txt"),
+    `User-agent: *\nAllow: /\n\nSitemap: ${site}/sitemap.xml\n`,
+    "utf-8"
+  );
+
+  return [...files.keys()].filter((file) => file.endsWith(".html")).length;
+}
@@ -0,0 +1,99 @@
+import { execFile } from "child_process";
+import { promises as fs } from "fs";
+import path from "path";
+import { promisify } from "util";
+import { normalizeGlobs, parseFrontmatter } from "./frontmatter.mjs";
+import { guideIdFromFile } from "./stacks.mjs";
+
+// Reading a project that uses the rules (not this repository): its files
+// and the Cursor rules installed in it.
+
+const execFileAsync = promisify(execFile);
+
+// Never walked when the project is not a git repository
+const SKIPPED_DIRECTORIES = new Set([".git", "node_modules"]);
+
+// "backend/.cursor/rules/testing.mdc" -> "backend"
+const RULE_FILE_PATTERN = /^(?:(.*)\/)?\.cursor\/rules\/(?:.*\/)?[^/]+\.mdc$/;
+
+async function walk(dir, relativeDir = "") {
+  const files = [];
+  const entries = await fs.readdir(path.join(dir, relativeDir), {
+    withFileTypes: true,
+  });
+
+  for (const entry of entries) {
+    const relativePath = relativeDir
+      ? `${relativeDir}/${entry.name}`
+      : entry.name;
+    if (entry.isDirectory()) {
+      if (SKIPPED_DIRECTORIES.has(entry.name)) continue;
+      files.push(...(await walk(dir, relativePath)));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Files of the project in `dir`, relative to it with "/" separators. In a
+ * git repository these are the files git tracks plus untracked files it
+ * does not ignore; elsewhere every file outside .git and node_modules.
+ */
+export async function listProjectFiles(dir) {
+  try {
+    const { stdout } = await execFileAsync(
+      "git",
+      ["ls-files", "--cached", "--others", "--exclude-standard", "-z"],
+      { cwd: dir, maxBuffer: 256 * 1024 * 1024 }
+    );
+    return stdout.split("\0").filter(Boolean);
+  } catch {
+    // Not a git repository, or no git
+  }
+  return walk(dir);
+}
+
+/**
+ * The Cursor rules installed in the project: every .mdc file in a
+ * .cursor/rules directory, including nested ones (backend/.cursor/rules),
+ * whose `root` is the directory they apply to ("" for the project root).
+ * `files` come from listProjectFiles(); the root rules directory is read
+ * as well in case git ignores it.
+ */
+export async function loadProjectRules(dir, files) {
+  const ruleFiles = new Set(
+    files.filter((file) => RULE_FILE_PATTERN.test(file))
+  );
+
+  try {
+    for (const file of await fs.readdir(path.join(dir, ".cursor", "rules"))) {
+      if (file.endsWith(".mdc")) ruleFiles.add(`.cursor/rules/${file}`);
+    }
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  const rules = [];
+  for (const file of [...ruleFiles].sort()) {
+    const content = await fs.readFile(path.join(dir, file), "utf-8");
+    const { frontmatter } = parseFrontmatter(content, file);
+
+    rules.push({
+      file,
+      root: file.match(RULE_FILE_PATTERN)[1] || "",
+      guide: {
+        id: guideIdFromFile(path.posix.basename(file)),
+        frontmatter,
+        alwaysApply:
+          frontmatter.alwaysApply === true ||
+          frontmatter.alwaysApply === "true",
+        globs: normalizeGlobs(frontmatter.globs),
+      },
+    });
+  }
+
+  return rules;
+}
@@ -0,0 +1,75 @@
+import { SNIPPET_LENGTH, tokenize } from "../../docs/lib/search.js";
+
+// How much one occurrence of a term counts, per field. Every section also
+// carries its guide's title (`context`), so "handle retries" finds the retry
+// section of the error handling guide.
+const WEIGHTS = { title: 8, description: 4, heading: 4, context: 2, body: 1 };
+
+// The start of a section's text, cut at a word, "…" marking the cut; no
+// longer than SNIPPET_LENGTH, so highlightSnippet() shows all of it
+function snippet(text) {
+  if (text.length <= SNIPPET_LENGTH) return text;
+  const length = SNIPPET_LENGTH - 2;
+  const cut = text.lastIndexOf(" ", length);
+  return `${text.slice(0, cut > 0 ? cut : length)} …`;
+}
+
+/**
+ * Build the inverted index the site searches client-side. Documents are
+ * guide sections (split at headings); the guide title and description count
+ * most towards its first section.
+ *
+ * `sections` rows are [stackId, guideId, sectionId, heading, snippet] and
+ * `terms` maps each term to flat [sectionIndex, weight, ...] postings, which
+ * keeps the JSON small without any decoding step on the client. Sections
+ * keep only the start of their text, to show with a result; the full text
+ * is in the guide's content file.
+ */
+export function buildSearchIndex(entries) {
+  const sections = [];
+  const terms = new Map();
+
+  const addTerms = (sectionIndex, text, weight) => {
+    for (const term of tokenize(text)) {
+      const postings = terms.get(term) || new Map();
+      postings.set(sectionIndex, (postings.get(sectionIndex) || 0) + weight);
+      terms.set(term, postings);
+    }
+  };
+
+  for (const { stackId, guide, sections: guideSections } of entries) {
+    guideSections.forEach((section, position) => {
+      const sectionIndex = sections.length;
+      sections.push([
+        stackId,
+        guide.id,
+        section.id,
+        section.heading || guide.title,
+        snippet(section.text),
+      ]);
+
+      if (position === 0) {
+        addTerms(sectionIndex, guide.title, WEIGHTS.title);
+        addTerms(
+          sectionIndex,
+          guide.frontmatter.description || "",
+          WEIGHTS.description
+        );
+      } else {
+        addTerms(sectionIndex, guide.title, WEIGHTS.context);
+      }
+      addTerms(sectionIndex, section.heading, WEIGHTS.heading);
+      addTerms(sectionIndex, section.text, WEIGHTS.body);
+    });
+  }
+
+  const sortedTerms = [...terms.keys()].sort();
+
+  return {
+    version: 2,
+    sections,
+    terms: Object.fromEntries(
+      sortedTerms.map((term) => [term, [...terms.get(term)].flat()])
+    ),
+  };
+}
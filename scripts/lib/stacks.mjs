@@ -0,0 +1,414 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  TemplateError,
+  parseVariables,
+  removeFrontmatterKey,
+  renderGuide,
+} from "../../docs/lib/variables.js";
+import { resolveRule } from "./fragments.mjs";
+import { FrontmatterError, normalizeGlobs } from "./frontmatter.mjs";
+import { TAG_PATTERN, tagsProblem, topicsFromFileName } from "./topics.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const repoRoot = path.resolve(__dirname, "..", "..");
+
+// Every stack directory carries one of these; the build finds stacks by it
+export const STACK_MANIFEST = "stack.json";
+
+// Top-level directories that are never stacks
+const IGNORED_DIRECTORIES = new Set(["docs", "scripts", "node_modules"]);
+
+const MANIFEST_KEYS = [
+  "id",
+  "name",
+  "icon",
+  "summary",
+  "focus",
+  "order",
+  "tags",
+  "budget",
+];
+const REQUIRED_STRING_KEYS = ["id", "name", "icon", "summary", "focus"];
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const BUDGET_KEYS = ["alwaysApplyTokens", "level"];
+const BUDGET_LEVELS = ["warning", "error"];
+
+// Every problem found while discovering stacks, reported together
+export class StackManifestError extends Error {
+  constructor(problems) {
+    super(
+      problems.length === 1
+        ? problems[0]
+        : `${problems.length} stack problems:\n  ${problems.join("\n  ")}`
+    );
+    this.name = "StackManifestError";
+    this.problems = problems;
+  }
+}
+
+async function isFile(filePath) {
+  try {
+    return (await fs.stat(filePath)).isFile();
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    throw error;
+  }
+}
+
+async function isDirectory(directoryPath) {
+  try {
+    return (await fs.stat(directoryPath)).isDirectory();
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    throw error;
+  }
+}
+
+// Problems with one stack.json, as messages without the file name
+async function validateStackManifest(manifest, directory) {
+  if (
+    manifest === null ||
+    typeof manifest !== "object" ||
+    Array.isArray(manifest)
+  ) {
+    return ["must be a JSON object"];
+  }
+
+  const problems = [];
+
+  for (const key of Object.keys(manifest)) {
+    if (!MANIFEST_KEYS.includes(key)) {
+      problems.push(
+        `unknown key "${key}" (allowed: ${MANIFEST_KEYS.join(", ")})`
+      );
+    }
+  }
+
+  for (const key of REQUIRED_STRING_KEYS) {
+    if (typeof manifest[key] !== "string" || manifest[key].trim() === "") {
+      problems.push(`"${key}" must be a non-empty string`);
+    }
+  }
+
+  if (typeof manifest.id === "string" && !ID_PATTERN.test(manifest.id)) {
+    problems.push(
+      `"id" must be lowercase letters, digits and single dashes, got "${manifest.id}"`
+    );
+  }
+
+  if (typeof manifest.icon === "string" && manifest.icon.trim() !== "") {
+    const docsDir = path.join(repoRoot, "docs");
+    const iconPath = path.resolve(docsDir, manifest.icon);
+    if (!iconPath.startsWith(docsDir + path.sep)) {
+      problems.push(
+        `"icon" must be a path inside docs/, got "${manifest.icon}"`
+      );
+    } else if (!(await isFile(iconPath))) {
+      problems.push(`icon docs/${manifest.icon} does not exist`);
+    }
+  }
+
+  if (
+    manifest.order !== undefined &&
+    (typeof manifest.order !== "number" || !Number.isFinite(manifest.order))
+  ) {
+    problems.push(`"order" must be a number`);
+  }
+
+  if (manifest.tags !== undefined) {
+    const tags = manifest.tags;
+    if (
+      !Array.isArray(tags) ||
+      !tags.every((tag) => typeof tag === "string" && TAG_PATTERN.test(tag))
+    ) {
+      problems.push(`"tags" must be a list of lowercase tags without spaces`);
+    } else if (new Set(tags).size !== tags.length) {
+      problems.push(`"tags" lists a tag more than once`);
+    }
+  }
+
+  if (manifest.budget !== undefined) {
+    const budget = manifest.budget;
+    if (
+      budget === null ||
+      typeof budget !== "object" ||
+      Array.isArray(budget)
+    ) {
+      problems.push(`"budget" must be an object`);
+    } else {
+      for (const key of Object.keys(budget)) {
+        if (!BUDGET_KEYS.includes(key)) {
+          problems.push(
+            `unknown key "budget.${key}" (allowed: ${BUDGET_KEYS.join(", ")})`
+          );
+        }
+      }
+      if (
+        !Number.isInteger(budget.alwaysApplyTokens) ||
+        budget.alwaysApplyTokens <= 0
+      ) {
+        problems.push(`"budget.alwaysApplyTokens" must be a positive integer`);
+      }
+      if (budget.level !== undefined && !BUDGET_LEVELS.includes(budget.level)) {
+        problems.push(
+          `"budget.level" must be one of ${BUDGET_LEVELS.join(", ")}`
+        );
+      }
+    }
+  }
+
+  if (
+    !(await isDirectory(path.join(repoRoot, directory, ".cursor", "rules")))
+  ) {
+    problems.push(`${directory}/.cursor/rules does not exist`);
+  }
+
+  return problems;
+}
+
+/**
+ * Find every stack: each top-level directory with a stack.json, ordered by
+ * its `order` (then name). Throws a StackManifestError listing every invalid
+ * manifest, missing icon or rules directory, duplicate id, and rules
+ * directory that has no stack.json.
+ */
+export async function discoverStacks() {
+  const entries = await fs.readdir(repoRoot, { withFileTypes: true });
+  const problems = [];
+  const stacks = [];
+
+  for (const entry of entries) {
+    if (
+      !entry.isDirectory() ||
+      entry.name.startsWith(".") ||
+      IGNORED_DIRECTORIES.has(entry.name)
+    ) {
+      continue;
+    }
+
+    const manifestPath = path.join(entry.name, STACK_MANIFEST);
+    let text;
+    try {
+      text = await fs.readFile(path.join(repoRoot, manifestPath), "utf-8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      if (
+        await isDirectory(path.join(repoRoot, entry.name, ".cursor", "rules"))
+      ) {
+        problems.push(
+          `${entry.name}/.cursor/rules has no ${STACK_MANIFEST}, so the stack is not built`
+        );
+      }
+      continue;
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(text);
+    } catch (error) {
+      problems.push(`${manifestPath}: invalid JSON (${error.message})`);
+      continue;
+    }
+
+    const manifestProblems = await validateStackManifest(manifest, entry.name);
+    if (manifestProblems.length > 0) {
+      problems.push(
+        ...manifestProblems.map((problem) => `${manifestPath}: ${problem}`)
+      );
+      continue;
+    }
+
+    stacks.push({
+      id: manifest.id,
+      name: manifest.name,
+      directory: entry.name,
+      icon: manifest.icon,
+      summary: manifest.summary,
+      focus: manifest.focus,
+      order: manifest.order ?? null,
+      tags: manifest.tags || [],
+      budget: manifest.budget ? { level: "warning", ...manifest.budget } : null,
+    });
+  }
+
+  const directoriesById = new Map();
+  for (const stack of stacks) {
+    directoriesById.set(stack.id, [
+      ...(directoriesById.get(stack.id) || []),
+      stack.directory,
+    ]);
+  }
+  for (const [id, directories] of directoriesById) {
+    if (directories.length > 1) {
+      problems.push(
+        `Stack id "${id}" is used by ${directories
+          .map((directory) => path.join(directory, STACK_MANIFEST))
+          .join(", ")}`
+      );
+    }
+  }
+
+  if (stacks.length === 0 && problems.length === 0) {
+    problems.push(
+      `No stacks found; add a ${STACK_MANIFEST} to each stack directory`
+    );
+  }
+
+  if (problems.length > 0) {
+    throw new StackManifestError(problems);
+  }
+
+  // Stacks without an `order` go last
+  const order = (stack) => stack.order ?? Infinity;
+  return stacks.sort(
+    (a, b) => order(a) - order(b) || a.name.localeCompare(b.name)
+  );
+}
+
+export const titleize = (fileName) => {
+  return fileName
+    .replace(/\.mdc$/i, "")
+    .replace(/-/g, " ")
+    .replace(/_/g, " ")
+    .split(" ")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+};
+
+export const slugify = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+};
+
+export const rulesDirectory = (stack) =>
+  path.join(repoRoot, stack.directory, ".cursor", "rules");
+
+// A guide's rule file relative to the repo root, with forward slashes (as git
+// names it)
+export const guideFile = (stack, guide) =>
+  path
+    .relative(repoRoot, path.join(rulesDirectory(stack), guide.fileName))
+    .split(path.sep)
+    .join("/");
+
+export const guideIdFromFile = (fileName) =>
+  slugify(fileName.replace(/\.mdc$/i, ""));
+
+// File names of a stack's .mdc rules, in directory order
+export async function listRuleFiles(stack) {
+  const files = await fs.readdir(rulesDirectory(stack));
+  return files.filter((f) => f.endsWith(".mdc"));
+}
+
+/**
+ * A rule as everything built from it sees it, from the text of its .mdc file
+ * at `filePath` (relative to the repo root): `{frontmatter, frontmatterRaw,
+ * content, alwaysApply, globs, tags, fragments, variables, template}`.
+ * Shared fragments are resolved (fragments.mjs) and variables set to their
+ * defaults (docs/lib/variables.js); `template` keeps the rule before that,
+ * for setting other values, and is null for rules without variables. `tags`
+ * are the rule's topics (topics.mjs), taken out of the frontmatter.
+ * `readFragment` is passed on to resolveRule().
+ */
+export async function loadRule(content, filePath, readFragment) {
+  const resolved = await resolveRule(content, filePath, readFragment);
+  const {
+    variables: declared,
+    tags: declaredTags,
+    ...frontmatter
+  } = resolved.frontmatter;
+  const { variables, problems } = parseVariables(declared, frontmatter);
+  if (problems.length > 0) {
+    throw new FrontmatterError(problems[0].message, { filePath });
+  }
+  const tagsError =
+    declaredTags === undefined ? null : tagsProblem(declaredTags);
+  if (tagsError) throw new FrontmatterError(tagsError, { filePath });
+  const frontmatterRaw =
+    declaredTags === undefined
+      ? resolved.frontmatterRaw
+      : removeFrontmatterKey(resolved.frontmatterRaw, "tags");
+
+  const rule = {
+    frontmatter,
+    frontmatterRaw,
+    content: resolved.body,
+    alwaysApply:
+      frontmatter.alwaysApply === true || frontmatter.alwaysApply === "true",
+    globs: normalizeGlobs(frontmatter.globs),
+    tags: declaredTags ?? topicsFromFileName(filePath),
+    // Shared fragments the rule is built from
+    fragments: resolved.fragments,
+    variables,
+    template: null,
+  };
+  if (declared === undefined) return rule;
+
+  try {
+    return renderGuide({
+      ...rule,
+      template: {
+        frontmatter,
+        frontmatterRaw,
+        content: resolved.body,
+        globs: rule.globs,
+      },
+    });
+  } catch (error) {
+    if (!(error instanceof TemplateError)) throw error;
+    // Lines of the body, as in lint findings
+    const bodyStart = resolved.frontmatterRaw.split("\n").length - 1;
+    throw new TemplateError(error.reason, bodyStart + error.line, filePath);
+  }
+}
+
+// Read every .mdc guide (and the README) of a stack from its directory, with
+// shared fragments resolved and variables set to their defaults
+export async function loadStack(stack) {
+  const stackDir = path.join(repoRoot, stack.directory);
+  const rulesDir = rulesDirectory(stack);
+  const mdcFiles = await listRuleFiles(stack);
+
+  const guides = [];
+
+  for (const file of mdcFiles) {
+    const filePath = path.join(rulesDir, file);
+    const content = await fs.readFile(filePath, "utf-8");
+    guides.push({
+      id: guideIdFromFile(file),
+      title: titleize(file),
+      fileName: file,
+      ...(await loadRule(content, guideFile(stack, { fileName: file }))),
+    });
+  }
+
+  guides.sort((a, b) => {
+    if (a.fileName === "README.md") return -1;
+    if (b.fileName === "README.md") return 1;
+    return a.title.localeCompare(b.title);
+  });
+
+  const readmePath = path.join(stackDir, "README.md");
+  let readme = "";
+  try {
+    readme = await fs.readFile(readmePath, "utf-8");
+  } catch (err) {
+    // README might not exist
+  }
+
+  return {
+    ...stack,
+    readme,
+    guides,
+  };
+}
+
+export async function findStack(stackId) {
+  const stacks = await discoverStacks();
+  return stacks.find((stack) => stack.id === stackId) || null;
+}
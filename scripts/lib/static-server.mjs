@@ -0,0 +1,386 @@
+import { createReadStream, promises as fs } from "fs";
+import path from "path";
+import { Readable, pipeline } from "stream";
+import zlib from "zlib";
+
+// Static file serving for scripts/serve.mjs, behaving like GitHub Pages
+// where it matters for previews: `/dir` redirects to `/dir/`, `/page`
+// falls back to `page.html`, and a root 404.html is the not-found page.
+
+export const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".mdc": "text/markdown; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".svg": "image/svg+xml; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".zip": "application/zip",
+  ".pdf": "application/pdf",
+};
+
+const DEFAULT_MIME_TYPE = "application/octet-stream";
+
+// Sent with every response. No Content-Security-Policy: GitHub Pages does
+// not send one, and a preview should break exactly where the site would.
+const SECURITY_HEADERS = {
+  "X-Content-Type-Options": "nosniff",
+  "X-Frame-Options": "SAMEORIGIN",
+  "Referrer-Policy": "strict-origin-when-cross-origin",
+  "Cross-Origin-Opener-Policy": "same-origin",
+};
+
+// A file named by a hash of its content (docs/data/content/*) never changes,
+// so browsers may keep it for good. GitHub Pages caches everything for 10
+// minutes; the hash in the name is what keeps those copies correct there.
+const HASHED_FILE_PATTERN = /\.[0-9a-f]{10,}\.[a-z0-9]+$/;
+const IMMUTABLE_CACHE_CONTROL = "public, max-age=31536000, immutable";
+
+// Smaller files are not worth compressing
+const COMPRESS_MIN_BYTES = 1024;
+
+// Compressed on every request, so brotli runs at a fast level
+const ENCODERS = {
+  br: () =>
+    zlib.createBrotliCompress({
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 },
+    }),
+  gzip: () => zlib.createGzip(),
+};
+
+export function getMimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || DEFAULT_MIME_TYPE;
+}
+
+const isCompressible = (mimeType) =>
+  /^text\/|^application\/(json|manifest\+json|xml)|^image\/svg\+xml/.test(
+    mimeType
+  );
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Pick "br", "gzip" or null for an Accept-Encoding header, honouring
+ * q-values (`gzip;q=0`, `*`). Brotli wins a tie.
+ */
+export function negotiateEncoding(acceptEncoding = "") {
+  const weights = new Map();
+  for (const part of acceptEncoding.split(",")) {
+    const [name, ...params] = part.trim().toLowerCase().split(";");
+    if (!name) continue;
+    const q = params
+      .map((param) => param.trim().match(/^q=([\d.]+)$/))
+      .find(Boolean);
+    weights.set(name, q ? Number(q[1]) : 1);
+  }
+
+  const weightOf = (encoding) =>
+    weights.has(encoding) ? weights.get(encoding) : weights.get("*") || 0;
+
+  const best = ["br", "gzip"]
+    .filter((encoding) => weightOf(encoding) > 0)
+    .sort((a, b) => weightOf(b) - weightOf(a))[0];
+  return best || null;
+}
+
+/**
+ * Parse a Range header against a body of `size` bytes. Returns `{start,
+ * end}` (inclusive), "unsatisfiable", or null when the header should be
+ * ignored (absent, malformed, or several ranges, which are served whole).
+ */
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || "").trim());
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    // bytes=-N: the last N bytes
+    const suffix = Number(match[2]);
+    if (suffix === 0) return "unsatisfiable";
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+    if (end < start) return match[2] === "" ? "unsatisfiable" : null;
+  }
+
+  return start >= size ? "unsatisfiable" : { start, end };
+}
+
+// Entity tags compared weakly (If-None-Match); `*` matches anything
+function etagMatches(header, etag) {
+  const strip = (tag) => tag.trim().replace(/^W\//, "");
+  return header
+    .split(",")
+    .some((tag) => tag.trim() === "*" || strip(tag) === strip(etag));
+}
+
+const httpDate = (date) => new Date(date).toUTCString();
+const seconds = (time) => Math.floor(time / 1000);
+
+/**
+ * A request handler serving the files under `root`.
+ *
+ * - `cacheControl`: the Cache-Control header for files
+ * - `transformHtml(html)`: rewrites HTML pages before they are sent (the dev
+ *   server injects its live-reload client this way)
+ */
+export async function createStaticHandler({
+  root,
+  cacheControl = "public, max-age=600",
+  transformHtml = null,
+}) {
+  // Containment is checked on real paths so symlinks cannot leave the root
+  const realRoot = await fs.realpath(root);
+
+  const isInsideRoot = (filePath) => {
+    const relative = path.relative(realRoot, filePath);
+    return (
+      relative === "" ||
+      (!relative.startsWith(`..${path.sep}`) &&
+        relative !== ".." &&
+        !path.isAbsolute(relative))
+    );
+  };
+
+  // The file's stats and real path, or null when it does not exist
+  async function statFile(filePath) {
+    try {
+      const realPath = await fs.realpath(filePath);
+      if (!isInsideRoot(realPath)) return null;
+      return { realPath, stats: await fs.stat(realPath) };
+    } catch (error) {
+      if (error.code === "ENOENT" || error.code === "ENOTDIR") return null;
+      throw error;
+    }
+  }
+
+  function sendError(req, res, status, message, extraHeaders = {}) {
+    const title = `${status} ${message}`;
+    const body = `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+  <body>
+    <h1>${escapeHtml(title)}</h1>
+    <p><a href="/">Go back to homepage</a></p>
+  </body>
+</html>
+`;
+    res.writeHead(status, {
+      ...SECURITY_HEADERS,
+      "Content-Type": MIME_TYPES[".html"],
+      "Content-Length": Buffer.byteLength(body),
+      "Cache-Control": "no-store",
+      ...extraHeaders,
+    });
+    res.end(req.method === "HEAD" ? undefined : body);
+  }
+
+  async function sendNotFound(req, res, pathname) {
+    const custom = await statFile(path.join(realRoot, "404.html"));
+    if (custom && custom.stats.isFile()) {
+      return sendFile(req, res, custom, 404);
+    }
+
+    const body = `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>404 Not Found</title></head>
+  <body>
+    <h1>404 - File Not Found</h1>
+    <p>The file <code>${escapeHtml(pathname)}</code> was not found.</p>
+    <p><a href="/">Go back to homepage</a></p>
+  </body>
+</html>
+`;
+    res.writeHead(404, {
+      ...SECURITY_HEADERS,
+      "Content-Type": MIME_TYPES[".html"],
+      "Content-Length": Buffer.byteLength(body),
+      "Cache-Control": "no-store",
+    });
+    res.end(req.method === "HEAD" ? undefined : body);
+  }
+
+  async function sendFile(req, res, { realPath, stats }, status = 200) {
+    const mimeType = getMimeType(realPath);
+    const lastModified = httpDate(stats.mtimeMs);
+
+    // HTML that gets rewritten is buffered; everything else is streamed
+    let buffer = null;
+    let tagSuffix = "";
+    if (transformHtml && mimeType === MIME_TYPES[".html"]) {
+      buffer = Buffer.from(
+        transformHtml(await fs.readFile(realPath, "utf-8")),
+        "utf-8"
+      );
+      tagSuffix = "-t";
+    }
+    const size = buffer ? buffer.length : stats.size;
+    const baseTag = `${stats.size.toString(16)}-${Math.floor(
+      stats.mtimeMs
+    ).toString(16)}${tagSuffix}`;
+
+    const headers = {
+      ...SECURITY_HEADERS,
+      "Content-Type": mimeType,
+      "Cache-Control":
+        status !== 200
+          ? "no-store"
+          : HASHED_FILE_PATTERN.test(realPath)
+          ? IMMUTABLE_CACHE_CONTROL
+          : cacheControl,
+      "Last-Modified": lastModified,
+      "Accept-Ranges": "bytes",
+    };
+
+    // Ranges are served uncompressed and only for GET 200 responses
+    let range = null;
+    const ifRange = req.headers["if-range"];
+    if (status === 200 && req.method === "GET" && req.headers.range) {
+      const rangeValid =
+        !ifRange ||
+        (ifRange.startsWith('"')
+          ? ifRange === `"${baseTag}"`
+          : seconds(Date.parse(ifRange)) === seconds(stats.mtimeMs));
+      if (rangeValid) range = parseRange(req.headers.range, size);
+    }
+
+    if (range === "unsatisfiable") {
+      return sendError(req, res, 416, "Range Not Satisfiable", {
+        "Content-Range": `bytes */${size}`,
+      });
+    }
+
+    const compressible = isCompressible(mimeType) && size >= COMPRESS_MIN_BYTES;
+    const encoding =
+      compressible && !range
+        ? negotiateEncoding(req.headers["accept-encoding"])
+        : null;
+    if (compressible) headers.Vary = "Accept-Encoding";
+
+    const etag = `"${baseTag}${encoding ? `-${encoding}` : ""}"`;
+    headers.ETag = etag;
+
+    if (status === 200) {
+      const ifNoneMatch = req.headers["if-none-match"];
+      const ifModifiedSince = req.headers["if-modified-since"];
+      const notModified = ifNoneMatch
+        ? etagMatches(ifNoneMatch, etag)
+        : ifModifiedSince &&
+          seconds(stats.mtimeMs) <= seconds(Date.parse(ifModifiedSince));
+      if (notModified) {
+        delete headers["Content-Type"];
+        res.writeHead(304, headers);
+        res.end();
+        return;
+      }
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : size - 1;
+    if (range) {
+      status = 206;
+      headers["Content-Range"] = `bytes ${start}-${end}/${size}`;
+    }
+    if (encoding) {
+      headers["Content-Encoding"] = encoding;
+    } else {
+      headers["Content-Length"] = size === 0 ? 0 : end - start + 1;
+    }
+
+    res.writeHead(status, headers);
+    if (req.method === "HEAD" || size === 0) {
+      res.end();
+      return;
+    }
+
+    const body = buffer
+      ? Readable.from([buffer.subarray(start, end + 1)])
+      : createReadStream(realPath, { start, end });
+    const streams = encoding ? [body, ENCODERS[encoding](), res] : [body, res];
+    pipeline(...streams, (error) => {
+      if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        console.error(`Error streaming ${realPath}:`, error.message);
+        res.destroy(error);
+      }
+    });
+  }
+
+  return async function handleRequest(req, res) {
+    try {
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        return sendError(req, res, 405, "Method Not Allowed", {
+          Allow: "GET, HEAD",
+        });
+      }
+
+      // The raw path, not new URL(): "//host/x" must stay a path
+      const rawPath = req.url.split(/[?#]/)[0];
+      const query = req.url.slice(rawPath.length).split("#")[0];
+      let pathname;
+      try {
+        pathname = decodeURIComponent(rawPath);
+      } catch {
+        return sendError(req, res, 400, "Bad Request");
+      }
+      if (!pathname.startsWith("/") || pathname.includes("\0")) {
+        return sendError(req, res, 400, "Bad Request");
+      }
+
+      const filePath = path.resolve(realRoot, `.${pathname}`);
+      if (!isInsideRoot(filePath)) {
+        return sendError(req, res, 403, "Forbidden");
+      }
+
+      let file = await statFile(filePath);
+
+      if (file && file.stats.isDirectory()) {
+        if (!pathname.endsWith("/")) {
+          // Collapse leading slashes so the redirect stays on this host
+          const location = `${rawPath.replace(/^\/+/, "/")}/${query}`;
+          res.writeHead(301, { ...SECURITY_HEADERS, Location: location });
+          res.end();
+          return;
+        }
+        file = await statFile(path.join(file.realPath, "index.html"));
+      } else if (!file && !pathname.endsWith("/")) {
+        file = await statFile(`${filePath}.html`);
+      }
+
+      if (!file || !file.stats.isFile()) {
+        return await sendNotFound(req, res, pathname);
+      }
+
+      await sendFile(req, res, file);
+    } catch (error) {
+      console.error(`Error serving ${req.url}:`, error);
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        sendError(req, res, 500, "Internal Server Error");
+      }
+    }
+  };
+}
@@ -0,0 +1,51 @@
+import path from "path";
+
+// Topic tags, for filtering rules across stacks on the site. A rule can list
+// its own in a `tags` frontmatter key, which the build reads and removes;
+// otherwise it gets the topics whose keywords are words of its file name
+// ("error-handling-patterns.mdc" -> error-handling).
+
+// Stack tags in stack.json follow the same pattern
+export const TAG_PATTERN = /^[a-z0-9][a-z0-9+#.-]*$/;
+
+const TOPIC_KEYWORDS = {
+  accessibility: ["accessibility"],
+  api: ["api", "backend"],
+  architecture: ["architecture", "abstraction", "backend", "frontend"],
+  "code-quality": ["hiding", "conflict"],
+  "code-review": ["review"],
+  "code-style": ["style", "styling", "commenting"],
+  configuration: ["configuration", "dependency", "framework"],
+  data: ["data", "state", "memory"],
+  "error-handling": ["error"],
+  git: ["git"],
+  logging: ["logging"],
+  performance: ["performance", "memory", "interrupt"],
+  security: ["security"],
+  testing: ["testing", "test"],
+};
+
+/** Topics a rule's file name suggests, in alphabetical order. */
+export function topicsFromFileName(fileName) {
+  const words = path
+    .basename(fileName, ".mdc")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/);
+  return Object.keys(TOPIC_KEYWORDS).filter((topic) =>
+    TOPIC_KEYWORDS[topic].some((keyword) => words.includes(keyword))
+  );
+}
+
+/** What is wrong with a `tags` frontmatter value, or null. */
+export function tagsProblem(tags) {
+  if (
+    !Array.isArray(tags) ||
+    !tags.every((tag) => typeof tag === "string" && TAG_PATTERN.test(tag))
+  ) {
+    return "`tags` must be a list of lowercase tags without spaces";
+  }
+  if (new Set(tags).size !== tags.length) {
+    return "`tags` lists a tag more than once";
+  }
+  return null;
+}
@@ -0,0 +1,36 @@
+import { lintStack } from "./lib/lint.mjs";
+import { discoverStacks } from "./lib/stacks.mjs";
+
+async function lintRules() {
+  const findings = [];
+
+  for (const stack of await discoverStacks()) {
+    findings.push(...(await lintStack(stack)));
+  }
+
+  findings.sort(
+    (a, b) => a.filePath.localeCompare(b.filePath) || a.line - b.line
+  );
+
+  for (const { filePath, line, severity, message, ruleId } of findings) {
+    console.log(
+      `${filePath}:${line}  ${severity.padEnd(7)}  ${message}  (${ruleId})`
+    );
+  }
+
+  const errors = findings.filter((f) => f.severity === "error").length;
+  const warnings = findings.length - errors;
+
+  if (errors > 0) {
+    console.error(`\n❌ Lint failed: ${errors} errors, ${warnings} warnings`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`\n✅ Linted rules: 0 errors, ${warnings} warnings`);
+}
+
+lintRules().catch((error) => {
+  console.error(`❌ Lint failed: ${error.message}`);
+  process.exitCode = 1;
+});
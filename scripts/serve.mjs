@@ -1,98 +1,121 @@
 import { createServer } from "http";
-import { readFileSync, statSync, existsSync } from "fs";
-import { join, extname, resolve } from "path";
+import { statSync } from "fs";
+import { resolve } from "path";
 import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { createLiveReload } from "./lib/live-reload.mjs";
+import { createStaticHandler } from "./lib/static-server.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = resolve(__filename, "..");
 const repoRoot = resolve(__dirname, "..");
-const docsDir = join(repoRoot, "docs");
-
-const MIME_TYPES = {
-  ".html": "text/html",
-  ".css": "text/css",
-  ".js": "application/javascript",
-  ".json": "application/json",
-  ".png": "image/png",
-  ".jpg": "image/jpeg",
-  ".svg": "image/svg+xml",
-  ".ico": "image/x-icon",
-};
-
-const PORT = process.env.PORT || 8080;
-
-function getMimeType(path) {
-  const ext = extname(path);
-  return MIME_TYPES[ext] || "text/plain";
-}
+const docsDir = resolve(repoRoot, "docs");
+
+const USAGE = `Usage: node scripts/serve.mjs [options]
+
+Options:
+  --port <n>     Port to listen on (default: $PORT or 8080)
+  --host <name>  Interface to bind (default: localhost; 0.0.0.0 for all)
+  --root <dir>   Directory to serve (default: docs)
+  --watch        Rebuild on changes and reload open pages (npm run dev)
+  -h, --help     Show this help`;
+
+class CliError extends Error {}
+
+function parseOptions(argv) {
+  const { values: options } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: "string", default: process.env.PORT || "8080" },
+      host: { type: "string", default: "localhost" },
+      root: { type: "string" },
+      watch: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
 
-function serveFile(filePath) {
-  try {
-    if (!existsSync(filePath)) {
-      return null;
-    }
+  const port = Number(options.port);
+  if (!/^\d+$/.test(options.port) || port > 65535) {
+    throw new CliError(
+      `--port must be a number from 0 to 65535, got "${options.port}"`
+    );
+  }
 
-    const stats = statSync(filePath);
-    if (!stats.isFile()) {
-      return null;
-    }
+  // `npm run serve` runs from the repo root; INIT_CWD is where it was invoked
+  const root = options.root
+    ? resolve(process.env.INIT_CWD || process.cwd(), options.root)
+    : docsDir;
+  let isDirectory = false;
+  try {
+    isDirectory = statSync(root).isDirectory();
+  } catch {}
+  if (!isDirectory) {
+    throw new CliError(`--root ${root} is not a directory`);
+  }
 
-    const content = readFileSync(filePath);
-    const mimeType = getMimeType(filePath);
+  return { ...options, port, root };
+}
 
-    return { content, mimeType };
-  } catch (error) {
-    console.error(`Error reading file ${filePath}:`, error);
-    return null;
+async function main(argv) {
+  const options = parseOptions(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return;
   }
-}
 
-const server = createServer((req, res) => {
-  let pathname = new URL(req.url, `http://${req.headers.host}`).pathname;
+  const liveReload = options.watch ? await createLiveReload() : null;
 
-  // Default to index.html
-  if (pathname === "/") {
-    pathname = "/index.html";
-  }
+  const handleStatic = await createStaticHandler({
+    root: options.root,
+    // Pages caches for 10 minutes; the dev server must always revalidate
+    cacheControl: liveReload ? "no-cache" : "public, max-age=600",
+    transformHtml: liveReload ? (html) => liveReload.injectClient(html) : null,
+  });
 
-  // Remove leading slash and resolve path
-  const filePath = join(docsDir, pathname);
+  const server = createServer((req, res) => {
+    if (liveReload && liveReload.handleRequest(req, res)) {
+      return;
+    }
+    handleStatic(req, res);
+  });
 
-  // Security: ensure file is within docs directory
-  if (!filePath.startsWith(docsDir)) {
-    res.writeHead(403, { "Content-Type": "text/plain" });
-    res.end("Forbidden");
-    return;
+  if (liveReload) {
+    console.log(`🔄 Building and watching for changes...`);
+    await liveReload.start();
   }
 
-  const file = serveFile(filePath);
-
-  if (!file) {
-    res.writeHead(404, { "Content-Type": "text/html" });
-    res.end(`
-      <!DOCTYPE html>
-      <html>
-        <head><title>404 Not Found</title></head>
-        <body>
-          <h1>404 - File Not Found</h1>
-          <p>The file <code>${pathname}</code> was not found.</p>
-          <p><a href="/">Go back to homepage</a></p>
-        </body>
-      </html>
-    `);
-    return;
-  }
+  server.on("error", (error) => {
+    console.error(
+      error.code === "EADDRINUSE"
+        ? `❌ Port ${options.port} is already in use. Try --port <n>.`
+        : `❌ ${error.message}`
+    );
+    liveReload?.close();
+    process.exitCode = 1;
+  });
 
-  res.writeHead(200, {
-    "Content-Type": file.mimeType,
-    "Cache-Control": "no-cache",
+  server.listen(options.port, options.host, () => {
+    const { port } = server.address();
+    const host = options.host.includes(":")
+      ? `[${options.host}]`
+      : options.host;
+    console.log(`\n🚀 Local server running at:`);
+    console.log(`   http://${host}:${port}\n`);
+    if (options.root !== docsDir) {
+      console.log(`Serving ${options.root}`);
+    }
+    if (liveReload) {
+      console.log(`Watching stacks and docs/; pages reload on changes.`);
+    }
+    console.log(`Press Ctrl+C to stop the server.\n`);
   });
-  res.end(file.content);
-});
+}
 
-server.listen(PORT, () => {
-  console.log(`\n🚀 Local server running at:`);
-  console.log(`   http://localhost:${PORT}\n`);
-  console.log(`Press Ctrl+C to stop the server.\n`);
+main(process.argv.slice(2)).catch((error) => {
+  if (error instanceof CliError || error.code?.startsWith("ERR_PARSE_ARGS")) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+  } else {
+    console.error(error);
+  }
+  process.exitCode = 1;
 });
-
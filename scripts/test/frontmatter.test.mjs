@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  FrontmatterError,
+  normalizeGlobs,
+  parseFrontmatter,
+} from "../lib/frontmatter.mjs";
+
+test("unquoted Cursor-style globs are read as patterns", () => {
+  for (const [globs, expected] of [
+    ["*.ts", ["*.ts"]],
+    ["**/*.ts,**/*.tsx", ["**/*.ts", "**/*.tsx"]],
+    ["*.{ts,tsx}  # TypeScript", ["*.{ts,tsx}"]],
+    ["{src,lib}/**", ["{src,lib}/**"]],
+  ]) {
+    const content = `---\r\ndescription: d\r\nglobs: ${globs}\r\nalwaysApply: false\r\n---\r\n\r\n# Rule\r\n`;
+    const { frontmatter, frontmatterRaw, body, lineOf } = parseFrontmatter(
+      content,
+      "rule.mdc"
+    );
+    assert.deepEqual(normalizeGlobs(frontmatter.globs), expected);
+    assert.equal(frontmatter.alwaysApply, false);
+    assert.equal(frontmatterRaw + body, content);
+    assert.equal(lineOf(["globs"]), 3);
+  }
+});
+
+test("aliases in other keys are still an error", () => {
+  assert.throws(
+    () => parseFrontmatter("---\ndescription: *d\n---\n\n# Rule\n", "rule.mdc"),
+    (error) => error instanceof FrontmatterError && error.line === 2
+  );
+});
@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { loadRule } from "../lib/stacks.mjs";
+
+const loadTestRule = (content) =>
+  loadRule(content, "stack/.cursor/rules/testing.mdc", async () => "");
+
+test("tags written as a compact list are removed from the built frontmatter", async () => {
+  const rule = await loadTestRule(
+    "---\ndescription: d\ntags:\n- testing\n# topics\n- security\nalwaysApply: true\n---\n\n# Rule\n"
+  );
+  assert.deepEqual(rule.tags, ["testing", "security"]);
+  assert.equal(
+    rule.frontmatterRaw,
+    "---\ndescription: d\nalwaysApply: true\n---\n\n"
+  );
+});
+
+test("tags written as indented or flow lists are removed", async () => {
+  for (const tags of [
+    "tags:\n  - testing\n\n  - security",
+    "tags: [testing,\n  security]",
+    "tags: [testing, security]",
+  ]) {
+    const rule = await loadTestRule(
+      `---\ndescription: d\n${tags}\nalwaysApply: true\n---\n\n# Rule\n`
+    );
+    assert.deepEqual(rule.tags, ["testing", "security"]);
+    assert.equal(
+      rule.frontmatterRaw,
+      "---\ndescription: d\nalwaysApply: true\n---\n\n"
+    );
+  }
+});
+
+test("variables with a compact list of values are removed", async () => {
+  const rule = await loadTestRule(
+    "---\ndescription: d\nvariables:\n  runner:\n    default: pytest\n    values:\n    - pytest\n    - unittest\nalwaysApply: true\n---\n\n# Run {{runner}}\n"
+  );
+  assert.equal(
+    rule.frontmatterRaw,
+    "---\ndescription: d\nalwaysApply: true\n---\n\n"
+  );
+  assert.equal(rule.content, "# Run pytest\n");
+});
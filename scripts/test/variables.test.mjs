@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  MAX_CONDITIONS,
+  TemplateError,
+  fillPlaceholders,
+  renderTemplate,
+  resolveValues,
+  templateVariants,
+  variantKey,
+} from "../../docs/lib/variables.js";
+
+const variables = [
+  { name: "packageManager", type: "string", default: "npm" },
+  { name: "strict", type: "boolean", default: false },
+];
+const template =
+  'Run `{{packageManager}} test`.\n{{#if strict}}\nNo skipped tests.\n{{else}}\nSkip <flaky> tests.\n{{/if}}\n{{#if packageManager == "pnpm"}}\nUse filters.\n{{/if}}\n';
+
+test("the variant for a set of values renders like the template", () => {
+  const variants = templateVariants(template, variables);
+  assert.deepEqual(
+    variants.map((variant) => variant.key),
+    ["00", "10", "01", "11"]
+  );
+
+  for (const input of [
+    {},
+    { strict: true },
+    { packageManager: "pnpm" },
+    { packageManager: "<b>", strict: true },
+  ]) {
+    const { values } = resolveValues(variables, input);
+    const key = variantKey(template, variables, values);
+    const variant = variants.find((candidate) => candidate.key === key);
+    const escape = (text) => text.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    assert.equal(
+      fillPlaceholders(escape(variant.text), variables, values),
+      escape(renderTemplate(template, variables, values))
+    );
+  }
+});
+
+test("templates with too many different conditions are rejected", () => {
+  const conditions = Array.from(
+    { length: MAX_CONDITIONS + 1 },
+    (_, index) => `{{#if packageManager == "${index}"}}x{{/if}}`
+  ).join("\n");
+  assert.throws(
+    () => templateVariants(conditions, variables),
+    (error) =>
+      error instanceof TemplateError && error.line === MAX_CONDITIONS + 1
+  );
+  // The same condition twice is one
+  assert.equal(
+    templateVariants("{{#if strict}}a{{/if}}{{#if strict}}b{{/if}}", variables)
+      .length,
+    2
+  );
+});
@@ -0,0 +1,636 @@
+#!/usr/bin/env node
+import { promises as fs } from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { FragmentError } from "./lib/fragments.mjs";
+import { FrontmatterError } from "./lib/frontmatter.mjs";
+import { ruleHash, ruleHistory } from "./lib/history.mjs";
+import {
+  LockfileError,
+  lockfilePath,
+  readLockfile,
+  readLockfileOrEmpty,
+  writeLockfile,
+} from "./lib/lockfile.mjs";
+import { mergeThreeWay } from "./lib/merge.mjs";
+import { listProjectFiles, loadProjectRules } from "./lib/project.mjs";
+import {
+  StackManifestError,
+  discoverStacks,
+  findStack,
+  guideFile,
+  loadStack,
+} from "./lib/stacks.mjs";
+import { coverageByDirectory, ruleCoverage } from "../docs/lib/coverage.js";
+import { buildMdcContent, mdcFileName } from "../docs/lib/mdc.js";
+import { TemplateError } from "../docs/lib/variables.js";
+
+const USAGE = `Usage: vibe-rules <command> [options]
+
+Commands:
+  list [stack-id]        List stacks, or the guides of one stack
+  add <stack-id>         Write a stack's rules into <dir>/.cursor/rules
+  remove <stack-id>      Delete a stack's rules from <dir>/.cursor/rules
+  update [stack-id]      Bring the installed rules (of every stack, or one)
+                         up to date, merging upstream changes with local edits
+  coverage [stack-id]    Show which files of <dir> the installed rules (or a
+                         stack's rules) attach to, per directory
+
+Options:
+  --guides a,b           Only these guide ids (default: all guides of the stack)
+  --dir <path>           Project directory (default: current directory)
+  --force                Overwrite or delete rules that differ from upstream
+  --dry-run              Print what would change without touching any file
+  --conflict <mode>      How update leaves conflicting edits: "markers" writes
+                         git-style conflict markers into the rule, "orig"
+                         writes upstream and keeps the local copy as
+                         <rule>.mdc.orig (default: markers)
+  --depth <n>            Directory levels in the coverage table (default: 2)
+  -h, --help             Show this help`;
+
+class CliError extends Error {}
+
+const CONFLICT_MODES = ["markers", "orig"];
+
+function report(prefix, action, relativePath, note = "") {
+  console.log(
+    `${prefix}${action.padEnd(10)} ${relativePath}${note ? ` (${note})` : ""}`
+  );
+}
+
+// `npm run rules` runs from the repo root; INIT_CWD is where it was invoked
+const defaultProjectDir = () => process.env.INIT_CWD || process.cwd();
+
+async function readFileIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+const rulesDirectoryIn = (projectDir) =>
+  path.join(projectDir, ".cursor", "rules");
+
+// The lockfile entry for a guide as installed now
+const lockEntry = (stack, guide, content) => ({
+  stack: stack.id,
+  guide: guide.id,
+  hash: ruleHash(content),
+});
+
+async function resolveStack(stackId) {
+  if (!stackId) {
+    throw new CliError(
+      "Missing <stack-id>. Run `vibe-rules list` to see them."
+    );
+  }
+
+  const stack = await findStack(stackId);
+  if (!stack) {
+    const stacks = await discoverStacks();
+    throw new CliError(
+      `Unknown stack "${stackId}". Available: ${stacks
+        .map((s) => s.id)
+        .join(", ")}`
+    );
+  }
+
+  return loadStack(stack);
+}
+
+function selectGuides(stack, guidesOption) {
+  if (!guidesOption) return stack.guides;
+
+  const guideIds = guidesOption
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  const unknown = guideIds.filter(
+    (id) => !stack.guides.some((guide) => guide.id === id)
+  );
+
+  if (unknown.length > 0) {
+    throw new CliError(
+      `Unknown guide(s) in ${stack.id}: ${unknown.join(
+        ", "
+      )}. Run \`vibe-rules list ${stack.id}\` to see them.`
+    );
+  }
+
+  return stack.guides.filter((guide) => guideIds.includes(guide.id));
+}
+
+async function listCommand(stackId) {
+  if (!stackId) {
+    for (const stack of await discoverStacks()) {
+      const { guides } = await loadStack(stack);
+      console.log(
+        `${stack.id.padEnd(26)} ${stack.name} (${guides.length} guides)`
+      );
+    }
+    return;
+  }
+
+  const stack = await resolveStack(stackId);
+  console.log(`${stack.name} — ${stack.summary}\n`);
+  for (const guide of stack.guides) {
+    const mode = guide.alwaysApply ? "always" : "     ";
+    console.log(`  ${mode}  ${guide.id.padEnd(32)} ${mdcFileName(guide)}`);
+  }
+}
+
+async function addCommand(stackId, options) {
+  const stack = await resolveStack(stackId);
+  const guides = selectGuides(stack, options.guides);
+  const rulesDir = rulesDirectoryIn(options.dir);
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  const summary = { written: 0, unchanged: 0, skipped: 0 };
+  const lockfile = await readLockfileOrEmpty(rulesDir);
+  // Stacks added in full get the guides upstream adds later, on update
+  lockfile.stacks[stack.id] = {
+    allGuides: Boolean(lockfile.stacks[stack.id]?.allGuides || !options.guides),
+  };
+
+  if (!options["dry-run"]) {
+    await fs.mkdir(rulesDir, { recursive: true });
+  }
+
+  for (const guide of guides) {
+    const filePath = path.join(rulesDir, mdcFileName(guide));
+    const relativePath = path.relative(options.dir, filePath);
+    const content = buildMdcContent(guide);
+    const existing = await readFileIfExists(filePath);
+
+    if (existing === content) {
+      lockfile.files[mdcFileName(guide)] = lockEntry(stack, guide, content);
+      summary.unchanged++;
+      report(prefix, "unchanged", relativePath);
+      continue;
+    }
+
+    if (existing !== null && !options.force) {
+      summary.skipped++;
+      report(
+        prefix,
+        "skipped",
+        relativePath,
+        "differs locally, use --force to overwrite"
+      );
+      continue;
+    }
+
+    if (!options["dry-run"]) {
+      await fs.writeFile(filePath, content, "utf-8");
+    }
+    lockfile.files[mdcFileName(guide)] = lockEntry(stack, guide, content);
+    summary.written++;
+    report(prefix, existing === null ? "added" : "overwrote", relativePath);
+  }
+
+  if (!options["dry-run"]) {
+    await writeLockfile(rulesDir, lockfile);
+  }
+
+  console.log(
+    `\n${prefix}${stack.name}: ${summary.written} written, ${summary.unchanged} unchanged, ${summary.skipped} skipped`
+  );
+}
+
+async function removeCommand(stackId, options) {
+  const stack = await resolveStack(stackId);
+  const guides = selectGuides(stack, options.guides);
+  const rulesDir = rulesDirectoryIn(options.dir);
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  const summary = { removed: 0, missing: 0, kept: 0 };
+  const lockfile = await readLockfileOrEmpty(rulesDir);
+  // Guides removed one by one are not brought back by update
+  if (options.guides && lockfile.stacks[stack.id]) {
+    lockfile.stacks[stack.id].allGuides = false;
+  }
+
+  for (const guide of guides) {
+    const filePath = path.join(rulesDir, mdcFileName(guide));
+    const relativePath = path.relative(options.dir, filePath);
+    const existing = await readFileIfExists(filePath);
+    const locked = lockfile.files[mdcFileName(guide)];
+    const installedHere =
+      locked?.stack === stack.id && locked.guide === guide.id;
+
+    if (existing === null) {
+      if (installedHere) delete lockfile.files[mdcFileName(guide)];
+      summary.missing++;
+      continue;
+    }
+
+    // Another stack (or the user) may own a file with the same name; an
+    // unmodified copy of an older version is still this stack's
+    const unmodified =
+      existing === buildMdcContent(guide) ||
+      (installedHere && ruleHash(existing) === locked.hash);
+    if (!unmodified && !options.force) {
+      summary.kept++;
+      report(
+        prefix,
+        "kept",
+        relativePath,
+        `differs from ${stack.id}, use --force to delete`
+      );
+      continue;
+    }
+
+    if (!options["dry-run"]) {
+      await fs.unlink(filePath);
+    }
+    if (installedHere) delete lockfile.files[mdcFileName(guide)];
+    summary.removed++;
+    report(prefix, "removed", relativePath);
+  }
+
+  if (!options["dry-run"]) {
+    await writeLockfile(rulesDir, lockfile);
+  }
+
+  console.log(
+    `\n${prefix}${stack.name}: ${summary.removed} removed, ${summary.kept} kept, ${summary.missing} not installed`
+  );
+}
+
+/**
+ * Update one installed rule, `entry` in the lockfile, to upstream `guide`,
+ * or report why not. Returns the outcome counted in the summary: "updated",
+ * "unchanged", "modified" (local edits, upstream unchanged), "conflict",
+ * "missing" (deleted locally, left locked so it is not added back) or "gone"
+ * (removed upstream); the entry's hash is moved to upstream whenever the
+ * file now builds on it.
+ */
+async function updateRule(stack, guide, entry, fileName, options) {
+  const rulesDir = rulesDirectoryIn(options.dir);
+  const filePath = path.join(rulesDir, fileName);
+  const relativePath = path.relative(options.dir, filePath);
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  const dryRun = options["dry-run"];
+
+  const local = await readFileIfExists(filePath);
+  if (local === null) {
+    report(
+      prefix,
+      "missing",
+      relativePath,
+      `deleted locally: \`add\` restores it, \`remove --guides ${entry.guide}\` forgets it`
+    );
+    return "missing";
+  }
+  if (!guide) {
+    report(prefix, "kept", relativePath, `no longer in ${stack.id}, unlocked`);
+    return "gone";
+  }
+
+  const upstream = buildMdcContent(guide);
+  const upstreamHash = ruleHash(upstream);
+  const localHash = ruleHash(local);
+
+  if (local === upstream) {
+    entry.hash = upstreamHash;
+    report(prefix, "unchanged", relativePath);
+    return "unchanged";
+  }
+  if (upstreamHash === entry.hash) {
+    report(prefix, "modified", relativePath, "local edits kept");
+    return "modified";
+  }
+  if (localHash === entry.hash) {
+    if (!dryRun) await fs.writeFile(filePath, upstream, "utf-8");
+    entry.hash = upstreamHash;
+    report(prefix, "updated", relativePath, `${localHash} → ${upstreamHash}`);
+    return "updated";
+  }
+
+  // Edited on both sides: merge from the version that was installed, however
+  // long ago that was
+  const versions = await ruleHistory(
+    guideFile(stack, guide),
+    upstream,
+    guide.fragments,
+    { limit: Infinity }
+  );
+  const original = versions.find((version) => version.hash === entry.hash);
+  const { content, conflicts } = mergeThreeWay(
+    original?.content ?? "",
+    local,
+    upstream,
+    {
+      local: `${fileName} (local)`,
+      original: `${fileName} (${entry.hash})`,
+      upstream: `${fileName} (${upstreamHash})`,
+    }
+  );
+  entry.hash = upstreamHash;
+
+  if (conflicts === 0) {
+    if (!dryRun) await fs.writeFile(filePath, content, "utf-8");
+    report(prefix, "merged", relativePath, "upstream changes and local edits");
+    return "updated";
+  }
+
+  const unknownOriginal = original
+    ? ""
+    : `, version ${entry.hash} not found upstream`;
+  if (options.conflict === "orig") {
+    if (!dryRun) {
+      await fs.writeFile(`${filePath}.orig`, local, "utf-8");
+      await fs.writeFile(filePath, upstream, "utf-8");
+    }
+    report(
+      prefix,
+      "conflict",
+      relativePath,
+      `local copy saved as ${fileName}.orig${unknownOriginal}`
+    );
+  } else {
+    if (!dryRun) await fs.writeFile(filePath, content, "utf-8");
+    report(
+      prefix,
+      "conflict",
+      relativePath,
+      `${conflicts} conflicting ${
+        conflicts === 1 ? "section" : "sections"
+      } marked${unknownOriginal}`
+    );
+  }
+  return "conflict";
+}
+
+async function updateCommand(stackId, options) {
+  if (!CONFLICT_MODES.includes(options.conflict)) {
+    throw new CliError(
+      `--conflict must be one of ${CONFLICT_MODES.join(", ")}, got "${
+        options.conflict
+      }"`
+    );
+  }
+
+  const rulesDir = rulesDirectoryIn(options.dir);
+  const lockfile = await readLockfile(rulesDir);
+  if (!lockfile) {
+    throw new CliError(
+      `No ${path.relative(options.dir, lockfilePath(rulesDir))} in ${
+        options.dir
+      }. Install rules with \`vibe-rules add <stack-id>\` first.`
+    );
+  }
+
+  const installed = [
+    ...new Set(Object.values(lockfile.files).map((entry) => entry.stack)),
+  ].sort();
+  if (stackId && !installed.includes(stackId)) {
+    throw new CliError(
+      `${stackId} is not installed in ${options.dir}. Installed: ${
+        installed.join(", ") || "none"
+      }`
+    );
+  }
+
+  const prefix = options["dry-run"] ? "[dry-run] " : "";
+  let conflicts = 0;
+
+  for (const id of stackId ? [stackId] : installed) {
+    const stack = await resolveStack(id);
+    const summary = {
+      added: 0,
+      updated: 0,
+      unchanged: 0,
+      modified: 0,
+      conflict: 0,
+      missing: 0,
+    };
+    const lockedFiles = Object.entries(lockfile.files).filter(
+      ([, entry]) => entry.stack === id
+    );
+
+    for (const [fileName, entry] of lockedFiles) {
+      const guide = stack.guides.find((g) => g.id === entry.guide);
+      const outcome = await updateRule(stack, guide, entry, fileName, options);
+      if (outcome === "gone") {
+        delete lockfile.files[fileName];
+      } else {
+        summary[outcome]++;
+      }
+    }
+
+    // Guides added upstream since, for stacks installed in full
+    if (lockfile.stacks[id]?.allGuides) {
+      const lockedGuides = new Set(lockedFiles.map(([, entry]) => entry.guide));
+      for (const guide of stack.guides) {
+        if (lockedGuides.has(guide.id)) continue;
+        const filePath = path.join(rulesDir, mdcFileName(guide));
+        const relativePath = path.relative(options.dir, filePath);
+        const content = buildMdcContent(guide);
+        const existing = await readFileIfExists(filePath);
+
+        if (existing !== null && existing !== content) {
+          report(
+            prefix,
+            "skipped",
+            relativePath,
+            "new upstream, but a different file exists locally"
+          );
+          continue;
+        }
+        if (existing === null && !options["dry-run"]) {
+          await fs.writeFile(filePath, content, "utf-8");
+        }
+        lockfile.files[mdcFileName(guide)] = lockEntry(stack, guide, content);
+        summary.added++;
+        report(prefix, "added", relativePath, "new upstream");
+      }
+    }
+
+    console.log(
+      `\n${prefix}${stack.name}: ${summary.added} added, ${
+        summary.updated
+      } updated, ${summary.unchanged} unchanged, ${
+        summary.modified
+      } locally modified, ${summary.conflict} conflicts${
+        summary.missing ? `, ${summary.missing} deleted locally` : ""
+      }\n`
+    );
+    conflicts += summary.conflict;
+  }
+
+  if (!options["dry-run"]) {
+    await writeLockfile(rulesDir, lockfile);
+  }
+
+  if (conflicts > 0) {
+    console.log(
+      options.conflict === "orig"
+        ? `⚠️  ${conflicts} rule(s) had conflicting edits: upstream was written and the local copies saved as .orig, merge them by hand`
+        : `⚠️  ${conflicts} rule(s) have conflict markers (<<<<<<< ... >>>>>>>) to resolve`
+    );
+    process.exitCode = 1;
+  }
+}
+
+// Uncovered files listed by `coverage` before the rest are summarized
+const UNCOVERED_LIST_LIMIT = 50;
+
+async function coverageCommand(stackId, options) {
+  const depth = Number(options.depth ?? 2);
+  if (!Number.isInteger(depth) || depth < 0) {
+    throw new CliError(
+      `--depth must be a whole number, got "${options.depth}"`
+    );
+  }
+
+  const projectFiles = await listProjectFiles(options.dir);
+  let rules;
+  let source;
+
+  if (stackId) {
+    const stack = await resolveStack(stackId);
+    rules = selectGuides(stack, options.guides).map((guide) => ({
+      label: guide.id,
+      guide,
+    }));
+    source = `${stack.name} rules`;
+  } else {
+    rules = (await loadProjectRules(options.dir, projectFiles)).map((rule) => ({
+      ...rule,
+      label: rule.file,
+    }));
+    if (rules.length === 0) {
+      throw new CliError(
+        `No rules in ${path.join(
+          options.dir,
+          ".cursor",
+          "rules"
+        )}. Pass a stack id to check a stack's rules before adding them.`
+      );
+    }
+    source = "installed rules";
+  }
+
+  // The rules themselves are not project files they could apply to
+  const files = projectFiles.filter((file) => !/(^|\/)\.cursor\//.test(file));
+  // Otherwise an empty directory would pass as fully covered
+  if (files.length === 0) {
+    throw new CliError(`No files in ${options.dir} to check the rules against`);
+  }
+  const coverage = ruleCoverage(files, rules);
+
+  console.log(
+    `${files.length} files in ${options.dir}, ${rules.length} ${source}\n`
+  );
+
+  const directories = coverageByDirectory(coverage.files, depth);
+  const width = Math.max(
+    9,
+    ...directories.map((totals) => totals.directory.length)
+  );
+  console.log(
+    `  ${"Directory".padEnd(width)}  ${"Files".padStart(
+      6
+    )}  ${"Glob-matched".padStart(12)}  ${"Uncovered".padStart(9)}`
+  );
+  for (const totals of directories) {
+    console.log(
+      `  ${totals.directory.padEnd(width)}  ${String(totals.files).padStart(
+        6
+      )}  ${String(totals.globMatched).padStart(12)}  ${String(
+        totals.uncovered
+      ).padStart(9)}`
+    );
+  }
+
+  console.log("\nRules");
+  const labelWidth = Math.max(...rules.map((rule) => rule.label.length));
+  for (const { rule, mode, matches } of coverage.rules) {
+    const note = {
+      always: `always applied (${matches} files in scope)`,
+      globs:
+        matches > 0
+          ? `${matches} matching ${matches === 1 ? "file" : "files"}`
+          : `no matching files: ${rule.guide.globs.join(", ")}`,
+      description: "never attached, the agent decides from the description",
+      manual: "never attached, only when @-mentioned",
+    }[mode];
+    console.log(
+      `  ${mode.padEnd(11)}  ${rule.label.padEnd(labelWidth)}  ${note}`
+    );
+  }
+
+  const uncovered = coverage.files.filter(
+    (file) => file.always.length === 0 && file.globs.length === 0
+  );
+  if (uncovered.length === 0) {
+    console.log("\n✅ Every file has at least one rule attached");
+    return;
+  }
+
+  console.log(`\nFiles no rule is attached to (${uncovered.length}):`);
+  for (const file of uncovered.slice(0, UNCOVERED_LIST_LIMIT)) {
+    console.log(`  ${file.path}`);
+  }
+  if (uncovered.length > UNCOVERED_LIST_LIMIT) {
+    console.log(`  ... and ${uncovered.length - UNCOVERED_LIST_LIMIT} more`);
+  }
+}
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      guides: { type: "string" },
+      dir: { type: "string" },
+      force: { type: "boolean", default: false },
+      "dry-run": { type: "boolean", default: false },
+      conflict: { type: "string", default: "markers" },
+      depth: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const [command, stackId] = positionals;
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  options.dir = path.resolve(defaultProjectDir(), options.dir || ".");
+
+  switch (command) {
+    case "list":
+      return listCommand(stackId);
+    case "add":
+      return addCommand(stackId, options);
+    case "remove":
+      return removeCommand(stackId, options);
+    case "update":
+      return updateCommand(stackId, options);
+    case "coverage":
+      return coverageCommand(stackId, options);
+    default:
+      throw new CliError(`Unknown command "${command}".\n\n${USAGE}`);
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  if (
+    error instanceof CliError ||
+    error instanceof FragmentError ||
+    error instanceof FrontmatterError ||
+    error instanceof LockfileError ||
+    error instanceof StackManifestError ||
+    error instanceof TemplateError ||
+    error.code?.startsWith("ERR_PARSE_ARGS")
+  ) {
+    console.error(`❌ ${error.message}`);
+  } else {
+    console.error(error);
+  }
+  process.exitCode = 1;
+});